@@ -1,9 +1,11 @@
 const HyperExpress = require('hyper-express');
 const Provider = require('./src/components/Provider.js');
 const Consumer = require('./src/components/Consumer.js');
+const { create_jwt } = require('./src/shared/tokens.js');
 
 module.exports = {
     Provider: Provider,
     Consumer: Consumer,
     COMPRESSORS: HyperExpress.compressors,
+    create_jwt: create_jwt,
 };
@@ -0,0 +1,160 @@
+const { wrap_object } = require('../shared/operators.js');
+const { sign, timing_safe_equal, split_token } = require('../shared/tokens.js');
+
+class Authenticator {
+    #keys = {};
+    #nonces = new Map();
+    #options = {
+        methods: ['hmac', 'jwt'],
+        max_age: 60 * 1000,
+        skew: 5 * 1000,
+    };
+
+    /**
+     * Creates a new Authenticator instance which verifies HMAC signed tokens and JWTs from consumers.
+     *
+     * @param {Object} keys Active shared keys represented by their key id. Example: { 'key-1': 'secret' }
+     * @param {Object} options Authenticator Options
+     * @param {Array} options.methods Accepted token methods. Any of hmac or jwt
+     * @param {Number} options.max_age Maximum age in milliseconds of a HMAC token timestamp
+     * @param {Number} options.skew Clock skew tolerance in milliseconds applied to all time checks
+     */
+    constructor(keys, options = this.#options) {
+        this.set_keys(keys);
+        wrap_object(this.#options, options);
+    }
+
+    /**
+     * Replaces all active shared keys. Provide multiple keys to rotate keys without downtime.
+     *
+     * @param {Object} keys Example: { 'key-1': 'secret', 'key-2': 'new-secret' }
+     */
+    set_keys(keys) {
+        if (keys === null || typeof keys !== 'object' || Object.keys(keys).length == 0)
+            throw new Error('set_keys(keys) -> keys must be an object with at least one key');
+        this.#keys = Object.assign({}, keys);
+    }
+
+    /**
+     * Returns the keys which may have signed a token with the provided key id.
+     *
+     * @param {String} key_id
+     * @returns {Array}
+     */
+    _candidate_keys(key_id) {
+        if (typeof key_id == 'string') return this.#keys[key_id] ? [this.#keys[key_id]] : [];
+        return Object.keys(this.#keys).map((id) => this.#keys[id]);
+    }
+
+    /**
+     * Determines whether provided signature was produced by any of the candidate keys.
+     *
+     * @param {Array} keys
+     * @param {String} content
+     * @param {String} signature
+     * @returns {Boolean}
+     */
+    _verify_signature(keys, content, signature) {
+        return keys.some((key) => timing_safe_equal(sign(key, content), signature));
+    }
+
+    /**
+     * Records a nonce as used until it expires and rejects nonces which were already used.
+     *
+     * @param {String} nonce
+     * @param {Number} expires_at
+     */
+    _consume_nonce(nonce, expires_at) {
+        // Purge expired nonces
+        const now = Date.now();
+        this.#nonces.forEach((expiry, key) => {
+            if (expiry <= now) this.#nonces.delete(key);
+        });
+
+        if (this.#nonces.has(nonce)) throw new Error('Token has already been used');
+        this.#nonces.set(nonce, expires_at);
+    }
+
+    /**
+     * Verifies a HMAC signed token.
+     *
+     * @param {String} token
+     * @returns {Object} Identity
+     */
+    _verify_hmac(token) {
+        const decoded = split_token(token, 2);
+        if (decoded === undefined) throw new Error('Malformed token');
+
+        const [payload] = decoded.parts;
+        const { kid, name, ts, nonce } = payload;
+        if (!this._verify_signature(this._candidate_keys(kid), decoded.content, decoded.signature))
+            throw new Error('Invalid token signature');
+
+        // Reject timestamps outside of the accepted window
+        const { max_age, skew } = this.#options;
+        const now = Date.now();
+        if (typeof ts !== 'number' || ts > now + skew)
+            throw new Error('Token issued in the future');
+        if (now - ts > max_age + skew) throw new Error('Token has expired');
+        if (typeof nonce !== 'string' || nonce.length == 0) throw new Error('Token nonce missing');
+
+        this._consume_nonce('hmac:' + nonce, ts + max_age + skew);
+        return { method: 'hmac', name, key_id: kid, claims: payload };
+    }
+
+    /**
+     * Verifies a HS256 signed JWT.
+     *
+     * @param {String} token
+     * @returns {Object} Identity
+     */
+    _verify_jwt(token) {
+        const decoded = split_token(token, 3);
+        if (decoded === undefined) throw new Error('Malformed token');
+
+        const [header, claims] = decoded.parts;
+        if (header.alg !== 'HS256') throw new Error('Unsupported token algorithm');
+        if (
+            !this._verify_signature(
+                this._candidate_keys(header.kid),
+                decoded.content,
+                decoded.signature
+            )
+        )
+            throw new Error('Invalid token signature');
+
+        // JWT time claims are in seconds and tokens must expire as they could otherwise never be revoked
+        const { skew } = this.#options;
+        const now = Date.now();
+        if (typeof claims.exp !== 'number') throw new Error('Token has no expiry');
+        if (claims.exp * 1000 + skew <= now) throw new Error('Token has expired');
+        if (typeof claims.nbf == 'number' && claims.nbf * 1000 - skew > now)
+            throw new Error('Token is not valid yet');
+        if (typeof claims.iat == 'number' && claims.iat * 1000 - skew > now)
+            throw new Error('Token issued in the future');
+
+        // Tokens with a jti claim may only be used once until they expire
+        if (typeof claims.jti == 'string')
+            this._consume_nonce('jwt:' + claims.jti, claims.exp * 1000 + skew);
+
+        return { method: 'jwt', name: claims.sub, key_id: header.kid, claims };
+    }
+
+    /**
+     * Verifies an authorization header value.
+     *
+     * @param {String} authorization Example: 'Bearer <jwt>' or 'HMAC <token>'
+     * @returns {Object} Identity { method: String, name: String, key_id: String, claims: Object }
+     */
+    verify(authorization) {
+        if (typeof authorization !== 'string') throw new Error('Missing credentials');
+        const [scheme, token] = authorization.split(' ');
+        const method = { hmac: 'hmac', bearer: 'jwt' }[String(scheme).toLowerCase()];
+        if (!method || !this.#options.methods.includes(method) || !token)
+            throw new Error('Unsupported credentials');
+
+        return method === 'hmac' ? this._verify_hmac(token) : this._verify_jwt(token);
+    }
+}
+
+module.exports = Authenticator;
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { wrap_object } = require('../shared/operators.js');
+
+class Balancer {
+    #ids = [];
+    #ring = [];
+    #cursor = 0;
+    #connections;
+    #options = {
+        strategy: 'round_robin',
+        virtual_nodes: 160,
+    };
+
+    /**
+     * Creates a new Balancer instance which selects consumer connections based on a strategy.
+     *
+     * @param {Object} connections Connections pool represented by their unique id
+     * @param {Object} options Balancer Options
+     * @param {String|Function} options.strategy Default strategy used when none is specified
+     * @param {Number} options.virtual_nodes Number of points each connection occupies on the consistent hash ring
+     */
+    constructor(connections, options = this.#options) {
+        this.#connections = connections;
+        wrap_object(this.#options, options);
+    }
+
+    /**
+     * Hashes provided value into an unsigned 32 bit integer.
+     *
+     * @param {String} value
+     * @returns {Number}
+     */
+    _hash(value) {
+        return crypto.createHash('md5').update(String(value)).digest().readUInt32BE(0);
+    }
+
+    /**
+     * Adds a connection to the balancer state.
+     *
+     * @param {uWS.Websocket} connection
+     */
+    _add(connection) {
+        if (this.#ids.includes(connection.id)) return;
+        this.#ids.push(connection.id);
+
+        // Place virtual nodes for connection on the hash ring
+        for (let i = 0; i < this.#options.virtual_nodes; i++)
+            this.#ring.push([this._hash(connection.id + '#' + i), connection.id]);
+        this.#ring.sort((a, b) => a[0] - b[0]);
+    }
+
+    /**
+     * Removes a connection from the balancer state.
+     *
+     * @param {uWS.Websocket} connection
+     */
+    _remove(connection) {
+        const index = this.#ids.indexOf(connection.id);
+        if (index == -1) return;
+
+        this.#ids.splice(index, 1);
+        this.#ring = this.#ring.filter(([hash, id]) => id !== connection.id);
+    }
+
+    /**
+     * Selects a connection using the specified strategy.
+     *
+     * @param {String|Function} strategy One of round_robin, least_in_flight, least_latency, random, weighted, consistent_hash or a custom function
+     * @param {String} key Key used by consistent_hash strategy
+     * @returns {uWS.Websocket|undefined} Selected connection or undefined if none are available
+     */
+    pick(strategy = this.#options.strategy, key) {
+        // Paused connections are not available for selection
+        const connections = this.#ids
+            .map((id) => this.#connections[id])
+            .filter((c) => c && !c.paused);
+        if (connections.length == 0) return;
+
+        // Custom strategies receive all available connections
+        if (typeof strategy == 'function') return strategy(connections, key) || undefined;
+
+        switch (strategy) {
+            case 'round_robin':
+                this.#cursor = (this.#cursor + 1) % connections.length;
+                return connections[this.#cursor];
+            case 'least_in_flight':
+                return connections.reduce((least, connection) =>
+                    connection.in_flight < least.in_flight ? connection : least
+                );
+            case 'least_latency':
+                return this._pick_latency(connections);
+            case 'random':
+                return connections[Math.floor(Math.random() * connections.length)];
+            case 'weighted':
+                return this._pick_weighted(connections);
+            case 'consistent_hash':
+                return this._pick_consistent(key);
+            default:
+                throw new Error('pick(strategy) -> Unknown strategy ' + strategy);
+        }
+    }
+
+    /**
+     * Selects the connection with the lowest average round trip time.
+     * Connections which have not been measured yet are only selected when none have been measured.
+     *
+     * @param {Array} connections
+     * @returns {uWS.Websocket}
+     */
+    _pick_latency(connections) {
+        const average = (connection) => {
+            const avg = connection.latency && connection.latency.avg;
+            return avg === undefined ? Infinity : avg;
+        };
+        return connections.reduce((lowest, connection) =>
+            average(connection) < average(lowest) ? connection : lowest
+        );
+    }
+
+    /**
+     * Selects a random connection with probability proportional to its weight parameter.
+     *
+     * @param {Array} connections
+     * @returns {uWS.Websocket}
+     */
+    _pick_weighted(connections) {
+        const weights = connections.map((connection) => {
+            const weight = +(connection.parameters && connection.parameters.weight);
+            return weight > 0 ? weight : 1;
+        });
+
+        let target = Math.random() * weights.reduce((a, b) => a + b, 0);
+        for (let i = 0; i < connections.length; i++) {
+            target -= weights[i];
+            if (target < 0) return connections[i];
+        }
+        return connections[connections.length - 1];
+    }
+
+    /**
+     * Selects the connection which owns the provided key on the consistent hash ring.
+     * Keys owned by a paused connection fall through to the next connection on the ring.
+     *
+     * @param {String} key
+     * @returns {uWS.Websocket|undefined}
+     */
+    _pick_consistent(key) {
+        if (key === undefined || key === null)
+            throw new Error('pick(strategy, key) -> key is required for consistent_hash strategy');
+
+        // Binary search for the first virtual node at or after the key hash
+        const hash = this._hash(key);
+        let low = 0;
+        let high = this.#ring.length;
+        while (low < high) {
+            const middle = (low + high) >>> 1;
+            if (this.#ring[middle][0] < hash) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+
+        // Walk clockwise past virtual nodes of paused connections
+        for (let i = 0; i < this.#ring.length; i++) {
+            const [, id] = this.#ring[(low + i) % this.#ring.length];
+            const connection = this.#connections[id];
+            if (connection && !connection.paused) return connection;
+        }
+    }
+}
+
+module.exports = Balancer;
@@ -1,21 +1,60 @@
+const fs = require('fs');
 const EventEmitter = require('events');
 const WebSocket = require('ws');
-const { wrap_object, to_url_parameters } = require('../shared/operators.js');
+const RPC = require('./RPC.js');
+const Outbox = require('./Outbox.js');
+const Streams = require('./Streams.js');
+const Latency = require('./Latency.js');
+const Logger = require('./Logger.js');
+const {
+    wrap_object,
+    to_url_parameters,
+    match_topic,
+    compute_backoff,
+} = require('../shared/operators.js');
+const { CHANNELS, encode_envelope, decode_envelope } = require('../shared/envelope.js');
+const { HEADERS } = require('../shared/constants.js');
+const { create_hmac_token } = require('../shared/tokens.js');
+const { CODEC_PROTOCOL, JSON_CODEC, resolve_codecs } = require('../shared/codecs.js');
 
 class Consumer {
     #ws;
     #emitter = new EventEmitter();
+    #rpc = new RPC(
+        (owner, type, packet) => this._send_envelope(CHANNELS.CONTROL, type, packet) !== 'dropped'
+    );
     #ready_queue = [];
+    #subscriptions = {};
+    #processors = {};
+    #outbox;
+    #streams;
+    #codecs;
+    #codec = JSON_CODEC;
+    #latency;
+    #session;
     #in_flight = false;
+    #congested = false;
+    #drain_waiters = [];
     #fatal_error;
     #connected = false;
     #last_ping = Date.now();
+    #last_seen = Date.now();
     #reconnect_attempts = 0;
+    #reconnect_delay;
+    #reconnect_timeout;
+    #going_away;
+    #disconnecting = false;
+    #disconnect_waiters = [];
+    #paused = false;
+    #endpoint;
+    #endpoint_index = 0;
+    #endpoint_failures = {};
+    #connected_endpoint;
     #heartbeat_interval;
     #heartbeat_margin = 2;
     #heartbeat_duration = 30 * 1000;
+    #logger;
     #handlers = {
-        log: (message) => {},
         error: (error) => {
             // Handle silently
         },
@@ -26,10 +65,62 @@ class Consumer {
         host: null,
         port: 8080,
         path: '/connect',
+        ws: {
+            high_water_mark: 512 * 1024,
+            compression: false,
+            compression_threshold: 1024,
+        },
+        codecs: ['json'],
+        heartbeat: {
+            timeout: 0,
+            latency_samples: 20,
+        },
+        providers: [],
+        failover: {
+            strategy: 'ordered',
+            cooldown: 30 * 1000,
+        },
+        tls: {
+            ca: null,
+            cert: null,
+            key: null,
+            passphrase: null,
+            servername: null,
+            reject_unauthorized: true,
+        },
         parameters: {},
+        auth: {
+            name: '',
+            key_id: null,
+            key: null,
+            token: null,
+        },
         reconnect: {
             interval: 1000,
             max_attempts: 10,
+            backoff: 'fixed',
+            factor: 2,
+            max_interval: 30 * 1000,
+            jitter: 'none',
+            going_away_delay: 1000,
+        },
+        rpc: {
+            timeout: 30 * 1000,
+        },
+        stream: {
+            chunk_size: 16 * 1024,
+            window: 16,
+        },
+        buffer: {
+            enabled: false,
+            max_count: 1000,
+            max_bytes: 1024 * 1024,
+            overflow: 'drop_oldest',
+            ttl: 0,
+        },
+        logging: {
+            level: 'info',
+            redact: ['payload', 'parameters'],
         },
     };
 
@@ -41,69 +132,239 @@ class Consumer {
      * @param {String} options.host IP/Host of the Provider websocket access url
      * @param {Number} options.port Port of the Provider websocket access url
      * @param {String} options.path URL parth of the Provider websocket access url
+     * @param {Object} options.ws Websocket options
+     * @param {Number} options.ws.high_water_mark Buffered amount above which the connection is considered congested until it drains
+     * @param {Boolean} options.ws.compression Whether per message deflate compression is offered to the Provider
+     * @param {Number} options.ws.compression_threshold Minimum payload size in bytes to compress
+     * @param {Array} options.codecs Payload codecs in order of preference. Known codec names or custom codec objects. Example: ['msgpack', 'json']
+     * @param {Object} options.heartbeat Heartbeat options
+     * @param {Number} options.heartbeat.timeout Time in milliseconds without any frames from the Provider after which the connection is considered dead. 0 uses twice the Provider heartbeat interval
+     * @param {Number} options.heartbeat.latency_samples Number of most recent round trip times used for latency statistics
+     * @param {Array} options.providers List of Provider endpoints to fail over between. Example: [{ host, port, ssl, path }]
+     * @param {Object} options.failover Failover policy options for multiple Provider endpoints
+     * @param {String} options.failover.strategy Endpoint selection strategy. One of ordered or random
+     * @param {Number} options.failover.cooldown Time in milliseconds a failed endpoint is skipped for when healthy endpoints remain
+     * @param {Object} options.tls TLS options for ssl connections. Certificates can be a file path, PEM String or Buffer
+     * @param {String|Buffer} options.tls.ca CA bundle used to verify the Provider certificate
+     * @param {String|Buffer} options.tls.cert Client certificate presented to Providers which require client certificates
+     * @param {String|Buffer} options.tls.key Client certificate private key
+     * @param {String} options.tls.passphrase Passphrase for the client certificate private key
+     * @param {String} options.tls.servername Server name used for SNI and Provider certificate verification
+     * @param {Boolean} options.tls.reject_unauthorized Whether connections to Providers with unverified certificates are rejected
      * @param {Object} options.parameters Authentication parameters
      * @param {String} options.metadata Connection metadata to make available on Provider connection instance
+     * @param {Object} options.auth Token authentication options sent in the authorization header
+     * @param {String} options.auth.name Consumer name included in HMAC signed tokens
+     * @param {String} options.auth.key_id Identifier of the shared key used to sign HMAC tokens
+     * @param {String} options.auth.key Shared key used to sign a fresh HMAC token for each connection attempt
+     * @param {String|Function} options.auth.token JWT or a function returning a JWT for each connection attempt
      * @param {Object} options.reconnect Reconnect policy options
      * @param {Number} options.reconnect.internal Number of milliseconds to wait for before retrying connection
-     * @param {Number} options.reconnect.max_attempts Maximum number of attempts to retry before closing instance
+     * @param {Number} options.reconnect.max_attempts Maximum number of attempts to retry before closing instance. Infinity retries forever
+     * @param {String} options.reconnect.backoff Backoff mode between attempts. One of fixed, linear or exponential
+     * @param {Number} options.reconnect.factor Multiplier applied to the interval for each attempt with exponential backoff
+     * @param {Number} options.reconnect.max_interval Maximum number of milliseconds to wait between attempts
+     * @param {String} options.reconnect.jitter Randomization applied to delays. One of none, full or decorrelated
+     * @param {Number} options.reconnect.going_away_delay Minimum time in milliseconds to wait before reconnecting to a Provider which is shutting down
+     * @param {Object} options.rpc Request/Response options
+     * @param {Number} options.rpc.timeout Default time in milliseconds to wait for a response before rejecting a request
+     * @param {Object} options.stream Chunked streaming options
+     * @param {Number} options.stream.chunk_size Maximum number of bytes sent in each chunk. Must be below the Provider's max payload length
+     * @param {Number} options.stream.window Number of chunks which can be in flight before the receiver grants more credit
+     * @param {Object} options.buffer Outbound buffering options for messages sent while disconnected
+     * @param {Boolean} options.buffer.enabled Whether messages should be buffered while disconnected
+     * @param {Number} options.buffer.max_count Maximum number of buffered messages
+     * @param {Number} options.buffer.max_bytes Maximum number of buffered bytes
+     * @param {String} options.buffer.overflow Overflow policy. One of drop_oldest, drop_newest or reject
+     * @param {Number} options.buffer.ttl Default time in milliseconds a buffered message stays valid. 0 disables expiry
+     * @param {Object} options.logging Structured logging options
+     * @param {String} options.logging.level Minimum level of log records passed to the logger. One of debug, info, warn, error or silent
+     * @param {Array} options.logging.redact Names of log record fields whose values are redacted
      */
     constructor(options = this.#options) {
         // Wrap user provided options over default
         wrap_object(this.#options, options);
-        this.#handlers.log('INITIALIZED');
+        this.#logger = new Logger(this.#options.logging);
+
+        // Create outbound buffer if enabled by user
+        const { enabled, ...buffer } = this.#options.buffer;
+        if (enabled === true) this.#outbox = new Outbox(buffer);
+        this.#codecs = resolve_codecs(this.#options.codecs);
+        this.#latency = new Latency(this.#options.heartbeat.latency_samples);
+        this.#streams = new Streams(
+            (owner, channel, event, data) =>
+                this._send_envelope(channel, event, data) !== 'dropped',
+            (owner, name, readable) => this._on_stream(name, readable),
+            this.#options.stream
+        );
+        this.#logger.debug('INITIALIZED');
     }
 
     /**
-     * Initiates/Re-Initiates heartbeat duration check cycle
-     *
-     * @param {Number} delay
+     * Initiates/Re-Initiates heartbeat check cycle which checks four times per heartbeat timeout.
+     * Dead connections are therefore detected within 1.25 times the heartbeat timeout.
      */
-    _initiate_check_cycle(delay = this.#heartbeat_duration) {
+    _initiate_check_cycle() {
         // Clear old interval
         if (this.#heartbeat_interval) clearInterval(this.#heartbeat_interval);
 
         // Create new interval
-        setInterval(() => this._check_heartbeat(), delay);
-        this.#handlers.log('HEARTBEAT_DURATION|' + delay);
+        const delay = Math.max(Math.floor(this.heartbeat_cutoff / 4), 1);
+        this.#heartbeat_interval = setInterval(() => this._check_heartbeat(), delay);
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('HEARTBEAT_DURATION', { duration: this.#heartbeat_duration, delay });
     }
 
     /**
-     * Checks whether heartbeat duration is valid
+     * Checks whether the Provider has been heard from within the heartbeat timeout.
+     * The Provider is pinged once it has been silent for half of the timeout.
      */
     _check_heartbeat() {
-        let difference = Date.now() - this.#last_ping;
-        let max_duration = this.#heartbeat_duration * this.#heartbeat_margin;
-        if (difference > max_duration) this.#ws.close();
-        this.#handlers.log('HEARTBEAT_CHECK');
+        if (!this.#connected) return;
+        const silence = Date.now() - this.#last_seen;
+        const timeout = this.heartbeat_cutoff;
+        if (this.#logger.enabled('debug')) this.#logger.debug('HEARTBEAT_CHECK', { silence });
+
+        // Terminate rather than close as a half-open connection never completes the closing handshake
+        // The resulting 'close' event executes the reconnect policy
+        if (silence > timeout) {
+            this.#logger.warn('HEARTBEAT_TIMEOUT', { silence, timeout });
+            this.#emitter.emit('heartbeat_timeout', silence);
+            return this.#ws.terminate();
+        }
+
+        if (silence > timeout / 2) this._send_envelope(CHANNELS.CONTROL, 'PING', Date.now());
+    }
+
+    /**
+     * Returns all Provider endpoints with missing values filled from top level options.
+     *
+     * @returns {Array} [{ host, port, ssl, path }, ...]
+     */
+    _endpoints() {
+        const { ssl, host, port, path, providers } = this.#options;
+        const defaults = { ssl, host, port, path };
+        if (!Array.isArray(providers) || providers.length == 0) return [defaults];
+        return providers.map((endpoint) => Object.assign({}, defaults, endpoint));
+    }
+
+    /**
+     * Selects the Provider endpoint for the next connection attempt.
+     * Endpoints which failed within the cooldown are skipped while healthy endpoints remain.
+     *
+     * @returns {Number} Endpoint index
+     */
+    _select_endpoint() {
+        const { strategy, cooldown } = this.#options.failover;
+        const endpoints = this._endpoints();
+        const now = Date.now();
+        const healthy = endpoints
+            .map((endpoint, index) => index)
+            .filter((index) => !(now - (this.#endpoint_failures[index] || 0) < cooldown));
+
+        // Fall back to the least recently failed endpoint when all endpoints are cooling down
+        if (healthy.length == 0)
+            return endpoints
+                .map((endpoint, index) => index)
+                .reduce((a, b) =>
+                    this.#endpoint_failures[b] < this.#endpoint_failures[a] ? b : a
+                );
+
+        if (strategy === 'random') return healthy[Math.floor(Math.random() * healthy.length)];
+        return healthy[0];
     }
 
     /**
      * Creates initial websocket connection for Consumer instance.
      */
     _create_ws_connection() {
-        const { ssl, host, port, path, parameters } = this.#options;
+        const { parameters } = this.#options;
+
+        // Select Provider endpoint for this connection attempt
+        this.#endpoint_index = this._select_endpoint();
+        this.#endpoint = this._endpoints()[this.#endpoint_index];
+        const { ssl, host, port, path } = this.#endpoint;
 
         // Mark instance as in flight
         this.#in_flight = true;
 
-        // Clean up old websocket connection
+        // Clean up old websocket connection and ignore errors from it while it finishes closing
         if (this.#ws) {
             this.#ws.removeAllListeners();
+            this.#ws.on('error', () => {});
             this.#ws = null;
+            this._resolve_disconnect_waiters();
         }
+        this.#connected = false;
 
         // Create new WebSocket connection
-        this.#handlers.log('IN_FLIGHT');
+        if (this.#logger.enabled('debug')) this.#logger.debug('IN_FLIGHT', { host, port });
         const URL_PARAMETERS = to_url_parameters(parameters);
         const URL = `${ssl ? 'wss' : 'ws'}://${host}:${port}${path}${
             URL_PARAMETERS ? '?' + URL_PARAMETERS : ''
         }`;
-        this.#ws = new WebSocket(URL);
+
+        // Present session token to resume previous identity on the Provider which issued it
+        const session = this.#session;
+        const headers = this._auth_headers();
+        if (session && session.endpoint_index === this.#endpoint_index)
+            headers[HEADERS.SESSION] = session.token;
+
+        // Offer codecs as subprotocols in order of preference and configure compression
+        const { compression, compression_threshold } = this.#options.ws;
+        const protocols = this.#codecs.map((codec) => CODEC_PROTOCOL + codec.name);
+        const options = {
+            headers,
+            perMessageDeflate: compression ? { threshold: compression_threshold } : false,
+        };
+        this.#ws = new WebSocket(
+            URL,
+            protocols,
+            Object.assign(options, ssl ? this._tls_options() : {})
+        );
 
         // Bind WebSocket handlers for connection events
         this._bind_ws_handlers();
     }
 
+    /**
+     * Returns TLS options for the underlying websocket with certificates loaded from files when necessary.
+     *
+     * @returns {Object}
+     */
+    _tls_options() {
+        const { ca, cert, key, passphrase, servername, reject_unauthorized } = this.#options.tls;
+        const load = (value) =>
+            typeof value == 'string' && !value.startsWith('-----BEGIN')
+                ? fs.readFileSync(value)
+                : value;
+
+        const options = { rejectUnauthorized: reject_unauthorized !== false };
+        if (ca) options.ca = load(ca);
+        if (cert) options.cert = load(cert);
+        if (key) options.key = load(key);
+        if (passphrase) options.passphrase = passphrase;
+        if (servername) options.servername = servername;
+        return options;
+    }
+
+    /**
+     * Returns authorization headers with fresh credentials for a connection attempt.
+     *
+     * @returns {Object}
+     */
+    _auth_headers() {
+        const { name, key_id, key, token } = this.#options.auth;
+        const headers = {};
+        if (key) {
+            headers[HEADERS.AUTHORIZATION] = 'HMAC ' + create_hmac_token(key_id, key, name);
+        } else if (token) {
+            headers[HEADERS.AUTHORIZATION] =
+                'Bearer ' + (typeof token == 'function' ? token() : token);
+        }
+        return headers;
+    }
+
     /**
      * Binds websocket handlers to websocket connection.
      */
@@ -112,6 +373,13 @@ class Consumer {
 
         // Bind 'open' event handler
         this.#ws.once('open', () => {
+            // Use the codec selected by the Provider before anything is sent or received
+            const previous_codec = reference.#codec;
+            reference.#codec =
+                reference.#codecs.find(
+                    (codec) => CODEC_PROTOCOL + codec.name === reference.#ws.protocol
+                ) || JSON_CODEC;
+
             // Mark instance as not in flight and flush ready promise queue
             reference.#connected = true;
             reference.#in_flight = false;
@@ -119,54 +387,154 @@ class Consumer {
 
             // Reset reconnection attempts to reset policy state
             reference.#reconnect_attempts = 0;
+            reference.#reconnect_delay = undefined;
+
+            // Mark endpoint as healthy and notify user if a different endpoint is now active
+            const endpoint = reference.#endpoint;
+            const previous = reference.#connected_endpoint;
+            delete reference.#endpoint_failures[reference.#endpoint_index];
+            reference.#connected_endpoint = endpoint;
+            if (previous && (previous.host !== endpoint.host || previous.port !== endpoint.port)) {
+                reference.#logger.info('PROVIDER_CHANGED', {
+                    host: endpoint.host,
+                    port: endpoint.port,
+                });
+                reference.#emitter.emit('provider_changed', endpoint, previous);
+            }
+
+            // Re-establish topic subscriptions from previous connections
+            const patterns = Object.keys(reference.#subscriptions);
+            if (patterns.length > 0)
+                reference._send_envelope(CHANNELS.CONTROL, 'SUBSCRIBE', patterns);
+
+            // Restore paused state before processors are registered so no work is dispatched in between
+            if (reference.#paused) reference._send_envelope(CHANNELS.CONTROL, 'PAUSE');
+
+            // Re-register work queue processors from previous connections
+            Object.keys(reference.#processors).forEach((name) =>
+                reference._send_envelope(CHANNELS.CONTROL, 'QUEUE_PROCESS', {
+                    queue: name,
+                    concurrency: reference.#processors[name].concurrency,
+                })
+            );
+
+            // Flush messages buffered while disconnected in order
+            if (reference.#outbox) {
+                const flushed = reference.#outbox.flush((payload, is_binary) => {
+                    // Re-encode messages buffered with the codec of a previous connection
+                    if (previous_codec !== reference.#codec) {
+                        const envelope = decode_envelope(payload, is_binary, previous_codec);
+                        if (envelope === undefined) return true;
+                        ({ payload, is_binary } = encode_envelope(
+                            envelope.channel,
+                            envelope.event,
+                            envelope.data,
+                            reference.#codec
+                        ));
+                    }
+                    reference.#ws.send(payload, { binary: is_binary });
+                    return true;
+                });
+                if (reference.#logger.enabled('debug'))
+                    reference.#logger.debug('FLUSHED_BUFFER', { flushed });
+            }
 
             // Emit 'open' event for user subscriptions
-            reference.#handlers.log('CONNECTED');
+            reference.#logger.info('CONNECTED', {
+                host: endpoint.host,
+                port: endpoint.port,
+                codec: reference.#codec.name,
+            });
             reference.#emitter.emit('open');
 
             // Re-Initiate heartbeat check cycle
-            reference._initiate_check_cycle(reference.#heartbeat_duration);
+            reference.#last_seen = Date.now();
+            reference._initiate_check_cycle();
         });
 
         // Bind 'message' event handler
         this.#ws.on('message', (message) => {
-            // Convert message to string type
-            message = message.toString();
-            reference.#handlers.log('MESSAGE|' + message);
-
-            // Respond with 'PONG' to pings from provider
-            if (message === 'PING') {
-                reference.#last_ping = Date.now();
-                return reference.#ws.send('PONG');
-            }
+            // Any frame from the Provider proves the connection is alive
+            reference.#last_seen = Date.now();
 
-            // Process and store heartbeat duration from provider
-            if (message.startsWith('PROVIDER_HEARTBEAT|')) {
-                reference.#heartbeat_duration = +message.split('|')[1];
-                return reference._initiate_check_cycle(reference.#heartbeat_duration);
-            }
+            // Decode envelope and treat unrecognized frames as untyped messages
+            const is_binary = typeof message !== 'string';
+            const envelope = decode_envelope(message, is_binary, reference.#codec) || {
+                channel: CHANNELS.MESSAGE,
+                event: null,
+                data: message,
+            };
+
+            // Handle internal control packets separately from user messages
+            const { channel, event, data } = envelope;
+            if (channel === CHANNELS.CONTROL) return reference._on_control_message(event, data);
+            if (channel === CHANNELS.STREAM) return reference.#streams._on_chunk(null, event, data);
+            if (channel === CHANNELS.TOPIC) return reference._on_topic_message(event, data);
+            if (reference.#logger.enabled('debug'))
+                reference.#logger.debug('MESSAGE', { payload: is_binary ? '<BINARY>' : message });
 
-            // Emit 'message' event with message
-            reference.#emitter.emit('message', message);
+            // Emit 'message' event for untyped messages and 'event:name' event for typed messages
+            if (event === null) return reference.#emitter.emit('message', data);
+            reference.#emitter.emit('event:' + event, data);
         });
 
         // Bind 'close' event handler
         this.#ws.once('close', (code, reason) => {
-            reference.#handlers.log('DISCONNECTED');
+            reference.#logger.info('DISCONNECTED', { code, reason });
             reference.#connected = false;
+            clearInterval(reference.#heartbeat_interval);
+            reference.#rpc.reject_all(
+                null,
+                new Error('Connection closed before a response was received')
+            );
+            reference._reject_drain_waiters(new Error('Connection closed before it drained'));
+            reference.#streams.destroy_all(null, 'Connection closed before stream completed');
             reference.#emitter.emit('disconnect', code, reason);
+            const going_away = reference.#going_away;
+            reference.#going_away = undefined;
 
-            // Execute reconnect policy if specified and sufficient attempts remaining
+            // Do not reconnect or close instance when disconnected intentionally
+            if (reference.#disconnecting) return reference._resolve_disconnect_waiters();
+
+            // Mark endpoint as failed so the next attempt fails over to another endpoint
+            reference.#endpoint_failures[reference.#endpoint_index] = Date.now();
+
+            // Fail over immediately or wait for the Provider to return if it was shutting down
+            // This does not count as a reconnect attempt as the Provider closed the connection intentionally
+            // Destroyed instances and fatal errors never reconnect
             const attempts = reference.#reconnect_attempts;
             const policy = reference.#options.reconnect;
+            if (
+                going_away !== undefined &&
+                reference.#fatal_error === undefined &&
+                policy &&
+                typeof policy == 'object' &&
+                policy.max_attempts > 0
+            ) {
+                const failover = reference._select_endpoint() !== reference.#endpoint_index;
+                const delay = failover ? 0 : going_away;
+                reference.#logger.info('RECONNECTING_GOING_AWAY', { delay });
+                return (reference.#reconnect_timeout = setTimeout(() => {
+                    reference.#reconnect_timeout = null;
+                    reference._create_ws_connection();
+                }, delay));
+            }
+
+            // Execute reconnect policy if specified and sufficient attempts remaining
             if (policy && typeof policy == 'object' && attempts < policy.max_attempts) {
-                reference.#reconnect_attempts++;
-                reference.#handlers.log('RECONNECTING');
-                return setTimeout(() => reference._create_ws_connection(), policy.interval);
+                const attempt = ++reference.#reconnect_attempts;
+                const delay = compute_backoff(policy, attempt, reference.#reconnect_delay);
+                reference.#reconnect_delay = delay;
+                reference.#logger.warn('RECONNECTING', { attempt, delay });
+                reference.#emitter.emit('reconnecting', attempt, delay);
+                return (reference.#reconnect_timeout = setTimeout(() => {
+                    reference.#reconnect_timeout = null;
+                    reference._create_ws_connection();
+                }, delay));
             }
 
             // Mark instance as closed as no reconnect policy specified
-            reference.#handlers.log('CLOSED');
+            reference.#logger.error('CLOSED', { code, reason });
             reference.#emitter.emit('close', code, reason);
         });
 
@@ -180,6 +548,176 @@ class Consumer {
         });
     }
 
+    /**
+     * Handles incoming control packets from the Provider.
+     *
+     * @param {String} event Control event
+     * @param {*} data Control data
+     */
+    _on_control_message(event, data) {
+        switch (event) {
+            case 'PING':
+                // Echo ping timestamp in 'PONG' and ping provider back to measure round trip time on both sides
+                this.#last_ping = Date.now();
+                this._send_envelope(CHANNELS.CONTROL, 'PONG', data);
+                return this._send_envelope(CHANNELS.CONTROL, 'PING', Date.now());
+            case 'PONG':
+                return this._on_latency(data);
+            case 'HEARTBEAT':
+                // Process and store heartbeat duration from provider
+                if (+data > 0) this.#heartbeat_duration = +data;
+                return this._initiate_check_cycle();
+            case 'RPC_REQUEST':
+                return this.#rpc._on_request(null, data);
+            case 'RPC_RESPONSE':
+                return this.#rpc._on_response(null, data);
+            case 'QUEUE_JOB':
+                return this._on_queue_job(data);
+            case 'SESSION':
+                return this._on_session(data);
+            case 'GOING_AWAY':
+                return this._on_going_away(data);
+            case 'STREAM_OPEN':
+            case 'STREAM_END':
+            case 'STREAM_ABORT':
+            case 'STREAM_CREDIT':
+            case 'STREAM_DONE':
+            case 'STREAM_CANCEL':
+                return this.#streams._on_control(null, event, data);
+        }
+    }
+
+    /**
+     * Records the round trip time of a ping from the timestamp echoed in a pong.
+     *
+     * @param {Number} timestamp Timestamp carried in the ping
+     */
+    _on_latency(timestamp) {
+        const rtt = this.#latency.record(timestamp);
+        if (rtt === undefined) return;
+
+        if (this.#logger.enabled('debug')) this.#logger.debug('HEARTBEAT_LATENCY', { rtt });
+        this.#emitter.emit('latency', rtt);
+    }
+
+    /**
+     * Handles a going away notice from a Provider which is shutting down.
+     * The next reconnect to the same Provider waits for the greater of its retry delay and reconnect.going_away_delay.
+     *
+     * @param {Object} notice { retry_after: Number, timeout: Number }
+     */
+    _on_going_away(notice) {
+        const retry_after = Math.max(0, +(notice && notice.retry_after) || 0);
+        const { reconnect } = this.#options;
+        this.#going_away = Math.max(retry_after, (reconnect && reconnect.going_away_delay) || 0);
+        this.#logger.info('GOING_AWAY', { retry_after });
+        this.#emitter.emit('going_away', retry_after, notice && notice.timeout);
+    }
+
+    /**
+     * Handles an incoming stream from the Provider.
+     *
+     * @param {String} name Stream name
+     * @param {Readable} readable
+     * @returns {Boolean} Returns false to refuse the stream
+     */
+    _on_stream(name, readable) {
+        // Refuse streams which have no listener to consume them
+        if (this.#emitter.listenerCount('stream') == 0) return false;
+
+        if (this.#logger.enabled('debug')) this.#logger.debug('STREAM', { name });
+        this.#emitter.emit('stream', name, readable);
+        return true;
+    }
+
+    /**
+     * Stores session issued by the Provider and emits 'resume' event if a previous session was resumed.
+     *
+     * @param {Object} session Session packet
+     */
+    _on_session(session) {
+        if (session === null || typeof session !== 'object' || typeof session.token !== 'string')
+            return;
+        this.#session = {
+            id: session.id,
+            token: session.token,
+            endpoint_index: this.#endpoint_index,
+        };
+
+        if (session.resumed !== true) return;
+        this.#logger.info('RESUMED', { session_id: session.id });
+        this.#emitter.emit('resume', session.id);
+    }
+
+    /**
+     * Processes a job dispatched by the Provider and acknowledges its outcome.
+     *
+     * @param {Object} job Job packet
+     */
+    async _on_queue_job(job) {
+        if (job === null || typeof job !== 'object') return;
+        const processor = this.#processors[job.queue];
+
+        // Reject jobs for queues which are no longer being processed
+        if (processor === undefined)
+            return this._send_envelope(CHANNELS.CONTROL, 'QUEUE_NACK', {
+                queue: job.queue,
+                id: job.id,
+                error: 'No processor registered for queue ' + job.queue,
+            });
+
+        const nack = (error) =>
+            this._send_envelope(CHANNELS.CONTROL, 'QUEUE_NACK', {
+                queue: job.queue,
+                id: job.id,
+                error: error && error.message !== undefined ? error.message : String(error),
+            });
+
+        let result;
+        processor.active++;
+        try {
+            result = await processor.handler(job.data, {
+                id: job.id,
+                queue: job.queue,
+                attempt: job.attempt,
+            });
+        } catch (error) {
+            return nack(error);
+        } finally {
+            processor.active--;
+        }
+
+        // Reject the job with the encoding error if its result can not be encoded
+        try {
+            this._send_envelope(CHANNELS.CONTROL, 'QUEUE_ACK', {
+                queue: job.queue,
+                id: job.id,
+                result,
+            });
+        } catch (error) {
+            nack(error);
+        }
+    }
+
+    /**
+     * Handles incoming topic publishes from the Provider.
+     *
+     * @param {String} topic
+     * @param {*} data
+     */
+    _on_topic_message(topic, data) {
+        if (this.#logger.enabled('debug')) this.#logger.debug('PUBLISH', { topic });
+
+        // Trigger handlers of all matching subscriptions
+        Object.keys(this.#subscriptions).forEach((pattern) => {
+            if (match_topic(pattern, topic))
+                this.#subscriptions[pattern].forEach((handler) => handler(data, topic));
+        });
+
+        // Emit 'publish' event for user subscriptions
+        this.#emitter.emit('publish', topic, data);
+    }
+
     /**
      * Handles errors from websocket connection for internal state changes.
      *
@@ -189,7 +727,11 @@ class Consumer {
         let is_fatal = false;
 
         // Handle 403 Scenario (Means connection is rejected due to bad auth)
-        if (error.message === 'Unexpected server response: 403') {
+        // Handle 406 Scenario (Means Provider supports none of the offered codecs)
+        if (
+            error.message === 'Unexpected server response: 403' ||
+            error.message === 'Unexpected server response: 406'
+        ) {
             is_fatal = true;
             this.#reconnect_attempts = Infinity;
         }
@@ -205,12 +747,11 @@ class Consumer {
     /**
      * Flushes ready promises queue based on state.
      */
-    _flush_ready_queue() {
+    _flush_ready_queue(error = this.#fatal_error) {
         // Flush all queued promises with appropriate responses
-        let reference = this;
-        reference.#handlers.log('FLUSHED_QUEUE');
+        this.#logger.debug('FLUSHED_QUEUE');
         this.#ready_queue.forEach(([resolve, reject]) => {
-            if (reference.#fatal_error) return reject(reference.#fatal_error);
+            if (error) return reject(error);
             resolve();
         });
 
@@ -248,10 +789,84 @@ class Consumer {
      * @returns {Promise} Ready Promise
      */
     connect() {
-        if (this.#in_flight === false) this._create_ws_connection();
+        // Connect immediately instead of waiting for a pending reconnect attempt
+        this.#disconnecting = false;
+        if (this.#reconnect_timeout) {
+            this._cancel_reconnect();
+            this._create_ws_connection();
+        } else if (this.#in_flight === false) {
+            this.#reconnect_attempts = 0;
+            this._create_ws_connection();
+        }
+
         return this.ready();
     }
 
+    /**
+     * Cancels a pending reconnect attempt.
+     */
+    _cancel_reconnect() {
+        if (this.#reconnect_timeout) clearTimeout(this.#reconnect_timeout);
+        this.#reconnect_timeout = null;
+    }
+
+    /**
+     * Closes connection to the Provider without reconnecting while allowing a later Consumer.connect().
+     * Jobs and requests in flight on this consumer are retried or rejected by the Provider once closed.
+     *
+     * @param {Number} code Websocket close code
+     * @param {String} reason Websocket close reason
+     * @returns {Promise} Resolves once the connection has closed
+     */
+    disconnect(code = 1000, reason) {
+        this.#disconnecting = true;
+        this._cancel_reconnect();
+
+        // Reject pending ready promises as instance is no longer in flight
+        this.#in_flight = false;
+        this._flush_ready_queue(new Error('Instance Disconnected'));
+        if (this.#heartbeat_interval) clearInterval(this.#heartbeat_interval);
+        this.#logger.info('DISCONNECTING', { code, reason });
+
+        // Close websocket connection which emits 'disconnect' event once closed
+        const ws = this.#ws;
+        if (!ws || ws.readyState === WebSocket.CLOSED) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.#disconnect_waiters.push(resolve);
+            ws.close(code, reason);
+        });
+    }
+
+    /**
+     * Resolves all pending Consumer.disconnect() promises.
+     */
+    _resolve_disconnect_waiters() {
+        const waiters = this.#disconnect_waiters;
+        this.#disconnect_waiters = [];
+        waiters.forEach((resolve) => resolve());
+    }
+
+    /**
+     * Asks the Provider to stop dispatching work such as queue jobs, balanced messages and broadcasts to this consumer.
+     * The connection stays open and the paused state is restored after reconnects.
+     */
+    pause() {
+        if (this.#paused) return;
+        this.#paused = true;
+        this.#logger.info('PAUSE');
+        this._send_envelope(CHANNELS.CONTROL, 'PAUSE');
+    }
+
+    /**
+     * Asks the Provider to resume dispatching work to this consumer.
+     */
+    resume() {
+        if (!this.#paused) return;
+        this.#paused = false;
+        this.#logger.info('RESUME');
+        this._send_envelope(CHANNELS.CONTROL, 'RESUME');
+    }
+
     /**
      * Sets error handler for Consumer instance.
      *
@@ -263,15 +878,28 @@ class Consumer {
         this.#handlers.error = handler;
     }
 
+    /**
+     * Sets a logger which receives structured log records at or above logging.level for Consumer instance.
+     * Records are of the format { time: Number, level: String, event: String, ...fields }.
+     *
+     * @param {Function} handler Example: (record) => {}
+     */
+    set_logger(handler) {
+        if (typeof handler !== 'function')
+            throw new Error('set_logger(handler) -> handler must be a Function');
+        this.#logger.set_handler(handler);
+    }
+
     /**
      * Sets debug logger for Consumer instance.
+     * Receives log records of all levels formatted as pipe delimited strings. Example: 'CONNECTION_CLOSE|id|1000'
      *
-     * @param {Function} handler
+     * @param {Function} handler Example: (message) => {}
      */
     set_debug_logger(handler) {
         if (typeof handler !== 'function')
             throw new Error('set_debug_logger(handler) -> handler must be a Function');
-        this.#handlers.log = handler;
+        this.#logger.set_handler((record) => handler(Logger.format(record)), 'debug');
     }
 
     /**
@@ -296,24 +924,228 @@ class Consumer {
 
     /**
      * Sends a message to connected Provider.
+     * Calling with a single argument or a null event sends an untyped message received through the Provider 'message' event.
      *
-     * @param {String} message
-     * @returns {Boolean} Returns true when message sent successfully
+     * @param {String} event Event name received through Provider 'event:name' event
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {Object} options Send options
+     * @param {Number} options.ttl Time in milliseconds message stays valid while buffered
+     * @returns {String} One of sent, buffered (congested or disconnected with buffering enabled) or dropped
      */
-    send(message) {
-        // Ensure websocket is connected
-        if (this.#connected === false) return false;
+    send(event, data, options = {}) {
+        // Treat single argument calls as untyped messages
+        if (arguments.length < 2 || event === null) {
+            const message = arguments.length < 2 ? event : data;
+            if (this.#logger.enabled('debug'))
+                this.#logger.debug('SEND', {
+                    payload: typeof message == 'string' ? message : '<DATA>',
+                });
+            return this._send_envelope(CHANNELS.MESSAGE, null, message, options.ttl);
+        }
+
+        if (typeof event !== 'string')
+            throw new Error('send(event, data) -> event must be a String');
+        if (this.#logger.enabled('debug')) this.#logger.debug('SEND', { name: event });
+        return this._send_envelope(CHANNELS.MESSAGE, event, data, options.ttl);
+    }
 
-        // Ensure message is a string type
-        if (typeof message == 'string') {
-            // Send message through websocket connection
-            this.#handlers.log('SEND|' + message);
-            this.#ws.send(message);
-            return true;
+    /**
+     * Sends a message to connected Provider once the connection is no longer congested.
+     * Accepts the same arguments as Consumer.send() and allows producers to slow down instead of buffering indefinitely.
+     *
+     * @param {String} event Event name received through Provider 'event:name' event
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {Object} options Send options
+     * @returns {Promise} Resolves with the Consumer.send() status once sent
+     */
+    async send_async(event, data, options) {
+        const args = arguments;
+        if (this.#congested)
+            await new Promise((resolve, reject) => this.#drain_waiters.push([resolve, reject]));
+        return this.send(...args);
+    }
+
+    /**
+     * Emits 'drain' event and resumes pending sends once the buffered amount falls below the high water mark.
+     */
+    _check_drain() {
+        if (!this.#congested || !this.#ws) return;
+        if (this.#ws.bufferedAmount > this.#options.ws.high_water_mark) return;
+        this.#congested = false;
+        this.#logger.debug('DRAIN');
+
+        const waiters = this.#drain_waiters;
+        this.#drain_waiters = [];
+        waiters.forEach(([resolve]) => resolve());
+        this.#emitter.emit('drain');
+    }
+
+    /**
+     * Rejects all pending sends waiting for the connection to drain.
+     *
+     * @param {Error} error
+     */
+    _reject_drain_waiters(error) {
+        this.#congested = false;
+        const waiters = this.#drain_waiters;
+        this.#drain_waiters = [];
+        waiters.forEach(([resolve, reject]) => reject(error));
+    }
+
+    /**
+     * Subscribes to a topic pattern on the Provider.
+     * Subscriptions are automatically re-established after reconnects.
+     *
+     * @param {String} pattern Example: 'jobs.*' or 'jobs.#'
+     * @param {Function} handler Optional handler for matching publishes. Example: (data, topic) => {}
+     */
+    subscribe(pattern, handler) {
+        if (typeof pattern !== 'string' || pattern.length == 0)
+            throw new Error('subscribe(pattern, handler) -> pattern must be a non-empty String');
+        if (handler !== undefined && typeof handler !== 'function')
+            throw new Error('subscribe(pattern, handler) -> handler must be a Function');
+
+        // Only notify Provider of new subscriptions
+        if (this.#subscriptions[pattern] === undefined) {
+            this.#subscriptions[pattern] = [];
+            this._send_envelope(CHANNELS.CONTROL, 'SUBSCRIBE', [pattern]);
         }
 
-        // Throw error on invalid message type
-        throw new Error('send(message) -> message must be a String');
+        if (handler) this.#subscriptions[pattern].push(handler);
+    }
+
+    /**
+     * Unsubscribes from a topic pattern on the Provider and removes its handlers.
+     *
+     * @param {String} pattern
+     */
+    unsubscribe(pattern) {
+        if (this.#subscriptions[pattern] === undefined) return;
+        delete this.#subscriptions[pattern];
+        this._send_envelope(CHANNELS.CONTROL, 'UNSUBSCRIBE', [pattern]);
+    }
+
+    /**
+     * Publishes data to a topic which the Provider relays to all other subscribed consumers.
+     *
+     * @param {String} topic Example: 'jobs.image'
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {Object} options Publish options
+     * @param {Number} options.ttl Time in milliseconds publish stays valid while buffered
+     * @returns {String} One of sent, buffered or dropped
+     */
+    publish(topic, data, options = {}) {
+        if (typeof topic !== 'string' || topic.length == 0)
+            throw new Error('publish(topic, data) -> topic must be a non-empty String');
+        return this._send_envelope(CHANNELS.TOPIC, topic, data, options.ttl);
+    }
+
+    /**
+     * Registers a processor for jobs pushed onto a Provider work queue.
+     * Jobs are acknowledged when the handler resolves and retried by the Provider when it throws.
+     *
+     * @param {String} name Queue name
+     * @param {Number} concurrency Maximum number of jobs to process at once
+     * @param {Function} handler Example: async (data, job) => result
+     */
+    process(name, concurrency, handler) {
+        if (typeof name !== 'string' || name.length == 0)
+            throw new Error(
+                'process(name, concurrency, handler) -> name must be a non-empty String'
+            );
+        if (typeof handler !== 'function')
+            throw new Error('process(name, concurrency, handler) -> handler must be a Function');
+
+        concurrency = Math.max(1, Math.floor(+concurrency) || 1);
+        this.#processors[name] = { concurrency, handler, active: 0 };
+        this._send_envelope(CHANNELS.CONTROL, 'QUEUE_PROCESS', { queue: name, concurrency });
+    }
+
+    /**
+     * Encodes and sends an envelope to the connected Provider.
+     * User messages are buffered while disconnected if outbound buffering is enabled.
+     *
+     * @param {Number} channel
+     * @param {String} event
+     * @param {*} data
+     * @param {Number} ttl Time in milliseconds envelope stays valid while buffered
+     * @returns {String} One of sent, buffered or dropped
+     */
+    _send_envelope(channel, event, data, ttl) {
+        // Control packets and stream chunks are never buffered as they are only valid for the current connection
+        if (
+            this.#connected === false &&
+            (!this.#outbox || channel === CHANNELS.CONTROL || channel === CHANNELS.STREAM)
+        )
+            return 'dropped';
+
+        const { payload, is_binary } = encode_envelope(channel, event, data, this.#codec);
+        if (this.#connected === false) {
+            let result;
+            try {
+                result = this.#outbox.push(payload, is_binary, ttl);
+            } catch (error) {
+                this._on_buffer_overflow(1);
+                throw error;
+            }
+
+            const { buffered, dropped } = result;
+            if (!buffered || dropped > 0) this._on_buffer_overflow(dropped + (buffered ? 0 : 1));
+            return buffered ? 'buffered' : 'dropped';
+        }
+
+        // Mark connection as congested until written data drains below the high water mark
+        this.#ws.send(payload, { binary: is_binary }, () => this._check_drain());
+        if (this.#ws.bufferedAmount > this.#options.ws.high_water_mark) {
+            this.#congested = true;
+            return 'buffered';
+        }
+        return 'sent';
+    }
+
+    /**
+     * Emits 'buffer_overflow' event when messages are dropped or rejected by the outbound buffer.
+     *
+     * @param {Number} dropped Number of messages dropped or rejected
+     */
+    _on_buffer_overflow(dropped) {
+        const policy = this.#options.buffer.overflow;
+        this.#logger.warn('BUFFER_OVERFLOW', { policy, dropped });
+        this.#emitter.emit('buffer_overflow', policy, dropped);
+    }
+
+    /**
+     * Registers a request handler which the Provider can call with Provider.request().
+     *
+     * @param {String} name
+     * @param {Function} handler Example: async (payload) => response
+     */
+    handle(name, handler) {
+        this.#rpc.handle(name, handler);
+    }
+
+    /**
+     * Sends a request to the connected Provider and resolves with its response.
+     *
+     * @param {String} name
+     * @param {*} payload JSON serializable payload
+     * @param {Object} options
+     * @param {Number} options.timeout Time in milliseconds to wait for a response
+     * @returns {Promise}
+     */
+    request(name, payload, options = {}) {
+        const { timeout = this.#options.rpc.timeout } = options;
+        return this.#rpc.request(null, name, payload, timeout);
+    }
+
+    /**
+     * Opens a chunked stream to the Provider which is received through the Provider 'stream' event.
+     *
+     * @param {String} name Stream name
+     * @returns {Writable}
+     */
+    stream(name) {
+        return this.#streams.create(null, name);
     }
 
     /**
@@ -324,18 +1156,59 @@ class Consumer {
         this.#reconnect_attempts = Infinity;
         this.#in_flight = false;
         this.#connected = false;
-        this.#ws.close();
+        this.#going_away = undefined;
+        this._cancel_reconnect();
+        if (this.#ws) this.#ws.close();
 
         // Cleanup heartbeat check interval
         if (this.#heartbeat_interval) clearInterval(this.#heartbeat_interval);
 
+        // Discard any buffered outbound messages and session
+        if (this.#outbox) this.#outbox.clear();
+        this.#session = undefined;
+
         // Flush ready promise queue to complete any pending promises
         this.#fatal_error = new Error('Instance Destroyed');
         this._flush_ready_queue();
+        this.#rpc.reject_all(null, this.#fatal_error);
+        this.#streams.destroy_all(null, this.#fatal_error.message);
+        this._resolve_disconnect_waiters();
 
         // Destroy Event Emitter
         this.#emitter.removeAllListeners();
-        this.#handlers.log('DESTROYED');
+        this.#logger.info('DESTROYED');
+    }
+
+    /**
+     * Reports the connection state of this Consumer.
+     * A Consumer is healthy while it is connected and the Provider has not been silent for longer than the heartbeat cutoff.
+     *
+     * @returns {Object}
+     */
+    health() {
+        let status = 'disconnected';
+        if (this.#connected) {
+            status = 'connected';
+        } else if (this.#reconnect_timeout) {
+            status = 'reconnecting';
+        } else if (this.#in_flight) {
+            status = 'connecting';
+        }
+
+        const latency = this.#latency;
+        return {
+            status,
+            healthy: this.#connected && Date.now() - this.#last_seen <= this.heartbeat_cutoff,
+            endpoint: this.endpoint,
+            last_heartbeat: this.#last_ping,
+            last_seen: this.#last_seen,
+            heartbeat_cutoff: this.heartbeat_cutoff,
+            reconnect_attempts: this.#reconnect_attempts,
+            paused: this.#paused,
+            buffered: this.buffered,
+            buffered_bytes: this.buffered_bytes,
+            rtt: { last: latency.last, avg: latency.avg, p95: latency.p95 },
+        };
     }
 
     /* Consumer Getters */
@@ -343,6 +1216,14 @@ class Consumer {
         return this.#ws;
     }
 
+    get id() {
+        return this.#session ? this.#session.id : undefined;
+    }
+
+    get codec() {
+        return this.#codec.name;
+    }
+
     get events() {
         return this.#emitter;
     }
@@ -355,17 +1236,42 @@ class Consumer {
         return this.#connected;
     }
 
+    get paused() {
+        return this.#paused;
+    }
+
     get heartbeat_duration() {
         return this.#heartbeat_duration;
     }
 
     get heartbeat_cutoff() {
-        return this.#heartbeat_duration * this.#heartbeat_margin;
+        const { timeout } = this.#options.heartbeat;
+        return timeout > 0 ? timeout : this.#heartbeat_duration * this.#heartbeat_margin;
     }
 
     get last_heartbeat() {
         return this.#last_ping;
     }
+
+    get latency() {
+        return this.#latency;
+    }
+
+    get subscriptions() {
+        return Object.keys(this.#subscriptions);
+    }
+
+    get endpoint() {
+        return this.#connected ? Object.assign({}, this.#endpoint) : undefined;
+    }
+
+    get buffered() {
+        return this.#outbox ? this.#outbox.depth : 0;
+    }
+
+    get buffered_bytes() {
+        return this.#outbox ? this.#outbox.bytes : 0;
+    }
 }
 
 module.exports = Consumer;
@@ -0,0 +1,54 @@
+class Latency {
+    #samples = [];
+    #max_samples;
+
+    /**
+     * Creates a new Latency instance which keeps rolling round trip time statistics.
+     *
+     * @param {Number} max_samples Number of most recent round trip times to keep
+     */
+    constructor(max_samples = 20) {
+        max_samples = Math.floor(+max_samples);
+        if (!(max_samples > 0))
+            throw new Error('new Latency(max_samples) -> max_samples must be a positive Number');
+        this.#max_samples = max_samples;
+    }
+
+    /**
+     * Records a round trip time measured from a timestamp carried in a ping.
+     * Invalid timestamps such as ones from the future are ignored.
+     *
+     * @param {Number} timestamp Timestamp in milliseconds at which the ping was sent
+     * @returns {Number|undefined} Round trip time in milliseconds or undefined if the timestamp was invalid
+     */
+    record(timestamp) {
+        const rtt = Date.now() - timestamp;
+        if (typeof timestamp !== 'number' || !(rtt >= 0) || rtt === Infinity) return;
+
+        this.#samples.push(rtt);
+        if (this.#samples.length > this.#max_samples) this.#samples.shift();
+        return rtt;
+    }
+
+    /* Latency Getters */
+    get last() {
+        return this.#samples[this.#samples.length - 1];
+    }
+
+    get avg() {
+        if (this.#samples.length == 0) return;
+        return this.#samples.reduce((a, b) => a + b, 0) / this.#samples.length;
+    }
+
+    get p95() {
+        if (this.#samples.length == 0) return;
+        const sorted = this.#samples.slice().sort((a, b) => a - b);
+        return sorted[Math.ceil(sorted.length * 0.95) - 1];
+    }
+
+    get samples() {
+        return this.#samples.length;
+    }
+}
+
+module.exports = Latency;
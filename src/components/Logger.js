@@ -0,0 +1,115 @@
+// Log levels in ascending order of severity
+const LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity,
+};
+
+const REDACTED = '[REDACTED]';
+
+class Logger {
+    #level;
+    #redact;
+    #handler = null;
+    #threshold = Infinity;
+
+    /**
+     * Creates a new Logger instance which emits structured log records to a handler.
+     *
+     * @param {Object} options
+     * @param {String} options.level Minimum level of records passed to the handler. One of debug, info, warn, error or silent
+     * @param {Array} options.redact Names of record fields whose values are replaced before records are passed to the handler
+     */
+    constructor({ level = 'info', redact = [] } = {}) {
+        if (LEVELS[level] === undefined)
+            throw new Error(
+                'new Logger(options) -> options.level must be one of ' +
+                    Object.keys(LEVELS).join(', ')
+            );
+        if (!Array.isArray(redact))
+            throw new Error('new Logger(options) -> options.redact must be an Array');
+        this.#level = level;
+        this.#redact = redact;
+    }
+
+    /**
+     * Sets the handler which receives log records at or above the specified level.
+     *
+     * @param {Function} handler Example: (record) => {}
+     * @param {String} level Defaults to the level of this Logger
+     */
+    set_handler(handler, level = this.#level) {
+        this.#handler = handler;
+        this.#threshold = LEVELS[level];
+    }
+
+    /**
+     * Returns whether records of the specified level are passed to the handler.
+     * Allows callers to skip building expensive fields for records which would be discarded.
+     *
+     * @param {String} level
+     * @returns {Boolean}
+     */
+    enabled(level) {
+        return this.#handler !== null && LEVELS[level] >= this.#threshold;
+    }
+
+    /**
+     * Passes a log record to the handler if its level is enabled.
+     * Records are of the format { time: Number, level: String, event: String, ...fields }.
+     *
+     * @param {String} level
+     * @param {String} event
+     * @param {Object} fields
+     */
+    log(level, event, fields = {}) {
+        if (!this.enabled(level)) return;
+
+        const record = { time: Date.now(), level, event };
+        Object.keys(fields).forEach((key) => {
+            const value = fields[key];
+            record[key] = value !== undefined && this.#redact.includes(key) ? REDACTED : value;
+        });
+        this.#handler(record);
+    }
+
+    debug(event, fields) {
+        this.log('debug', event, fields);
+    }
+
+    info(event, fields) {
+        this.log('info', event, fields);
+    }
+
+    warn(event, fields) {
+        this.log('warn', event, fields);
+    }
+
+    error(event, fields) {
+        this.log('error', event, fields);
+    }
+
+    /**
+     * Formats a log record as a pipe delimited string of its event and field values.
+     * Example: { event: 'CONNECTION_CLOSE', connection_id: 'id', code: 1000 } -> 'CONNECTION_CLOSE|id|1000'
+     *
+     * @param {Object} record
+     * @returns {String}
+     */
+    static format(record) {
+        const { time, level, event, ...fields } = record;
+        return [event]
+            .concat(
+                Object.keys(fields).map((key) => {
+                    const value = fields[key];
+                    if (value === undefined || value === null) return '';
+                    return typeof value == 'object' ? JSON.stringify(value) : String(value);
+                })
+            )
+            .join('|');
+    }
+}
+
+module.exports = Logger;
@@ -0,0 +1,158 @@
+class Metrics {
+    #prefix;
+    #metrics = {};
+
+    /**
+     * Creates a new Metrics instance which collects counters, gauges and histograms
+     * and renders them in the Prometheus text exposition format.
+     *
+     * @param {String} prefix Prefix applied to all metric names when rendered
+     */
+    constructor(prefix = '') {
+        this.#prefix = prefix;
+    }
+
+    /**
+     * Registers a counter which only ever increases.
+     *
+     * @param {String} name
+     * @param {String} help
+     * @param {String} label Optional label name which the counter is broken down by
+     */
+    counter(name, help, label) {
+        this.#metrics[name] = { type: 'counter', help, label, values: label ? {} : 0 };
+    }
+
+    /**
+     * Registers a gauge whose value is collected when read.
+     *
+     * @param {String} name
+     * @param {String} help
+     * @param {Function} collect Example: () => Number
+     */
+    gauge(name, help, collect) {
+        this.#metrics[name] = { type: 'gauge', help, collect };
+    }
+
+    /**
+     * Registers a histogram with cumulative buckets.
+     *
+     * @param {String} name
+     * @param {String} help
+     * @param {Array} buckets Upper bounds of buckets in ascending order
+     */
+    histogram(name, help, buckets) {
+        this.#metrics[name] = {
+            type: 'histogram',
+            help,
+            buckets: buckets.slice().sort((a, b) => a - b),
+            counts: buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+        };
+    }
+
+    /**
+     * Increments a counter.
+     *
+     * @param {String} name
+     * @param {Number} amount
+     * @param {String|Number} label_value Value of the counter label if it has one
+     */
+    increment(name, amount = 1, label_value) {
+        const metric = this.#metrics[name];
+        if (metric.label === undefined) return (metric.values += amount);
+        metric.values[label_value] = (metric.values[label_value] || 0) + amount;
+    }
+
+    /**
+     * Records an observation in a histogram.
+     *
+     * @param {String} name
+     * @param {Number} value
+     */
+    observe(name, value) {
+        const metric = this.#metrics[name];
+        metric.sum += value;
+        metric.count++;
+        metric.buckets.forEach((bound, index) => {
+            if (value <= bound) metric.counts[index]++;
+        });
+    }
+
+    /**
+     * Returns the current value of all metrics as a JSON serializable object.
+     * Labelled counters are objects of values represented by their label value and
+     * histograms are objects of the format { buckets: { [bound]: Number, '+Inf': Number }, sum: Number, count: Number }.
+     *
+     * @returns {Object}
+     */
+    snapshot() {
+        const snapshot = {};
+        Object.keys(this.#metrics).forEach((name) => {
+            const metric = this.#metrics[name];
+            if (metric.type === 'gauge') return (snapshot[name] = metric.collect());
+            if (metric.type === 'counter')
+                return (snapshot[name] = metric.label
+                    ? Object.assign({}, metric.values)
+                    : metric.values);
+
+            const buckets = {};
+            metric.buckets.forEach((bound, index) => (buckets[bound] = metric.counts[index]));
+            buckets['+Inf'] = metric.count;
+            snapshot[name] = { buckets, sum: metric.sum, count: metric.count };
+        });
+        return snapshot;
+    }
+
+    /**
+     * Renders all metrics in the Prometheus text exposition format.
+     *
+     * @returns {String}
+     */
+    render() {
+        const snapshot = this.snapshot();
+        const lines = [];
+        Object.keys(this.#metrics).forEach((name) => {
+            const metric = this.#metrics[name];
+            const full_name = this.#prefix + name;
+            const value = snapshot[name];
+            lines.push(`# HELP ${full_name} ${metric.help}`);
+            lines.push(`# TYPE ${full_name} ${metric.type}`);
+
+            if (metric.type === 'histogram') {
+                // Render buckets in ascending order as integer-like keys are enumerated first
+                metric.buckets
+                    .concat('+Inf')
+                    .forEach((bound) =>
+                        lines.push(`${full_name}_bucket{le="${bound}"} ${value.buckets[bound]}`)
+                    );
+                lines.push(`${full_name}_sum ${value.sum}`);
+                lines.push(`${full_name}_count ${value.count}`);
+            } else if (metric.label) {
+                Object.keys(value).forEach((label_value) =>
+                    lines.push(
+                        `${full_name}{${metric.label}="${this._escape(label_value)}"} ${
+                            value[label_value]
+                        }`
+                    )
+                );
+            } else {
+                lines.push(`${full_name} ${value}`);
+            }
+        });
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Escapes a label value for the Prometheus text exposition format.
+     *
+     * @param {String} value
+     * @returns {String}
+     */
+    _escape(value) {
+        return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+    }
+}
+
+module.exports = Metrics;
@@ -0,0 +1,127 @@
+const { wrap_object } = require('../shared/operators.js');
+
+class Outbox {
+    #entries = [];
+    #bytes = 0;
+    #options = {
+        max_count: 1000,
+        max_bytes: 1024 * 1024,
+        overflow: 'drop_oldest',
+        ttl: 0,
+    };
+
+    /**
+     * Creates a new Outbox instance which holds outbound payloads while a connection is unavailable.
+     *
+     * @param {Object} options Outbox Options
+     * @param {Number} options.max_count Maximum number of buffered payloads
+     * @param {Number} options.max_bytes Maximum number of buffered bytes
+     * @param {String} options.overflow Overflow policy. One of drop_oldest, drop_newest or reject
+     * @param {Number} options.ttl Default time in milliseconds a payload stays valid. 0 disables expiry
+     */
+    constructor(options = this.#options) {
+        wrap_object(this.#options, options);
+        if (!['drop_oldest', 'drop_newest', 'reject'].includes(this.#options.overflow))
+            throw new Error('new Outbox() -> Unknown overflow policy ' + this.#options.overflow);
+    }
+
+    /**
+     * Removes all entries which have expired.
+     */
+    _purge() {
+        const now = Date.now();
+        this.#entries = this.#entries.filter((entry) => {
+            if (entry.expires_at === 0 || entry.expires_at > now) return true;
+            this.#bytes -= entry.bytes;
+            return false;
+        });
+    }
+
+    /**
+     * Determines whether an entry of specified size fits within limits.
+     *
+     * @param {Number} bytes
+     * @returns {Boolean}
+     */
+    _fits(bytes) {
+        const { max_count, max_bytes } = this.#options;
+        return this.#entries.length < max_count && this.#bytes + bytes <= max_bytes;
+    }
+
+    /**
+     * Pushes an encoded payload into the outbox while applying the overflow policy.
+     *
+     * @param {String|Buffer} payload
+     * @param {Boolean} is_binary
+     * @param {Number} ttl Time in milliseconds payload stays valid. Defaults to outbox ttl option
+     * @returns {Object} { buffered: Boolean, dropped: Number } where dropped is the number of older payloads dropped
+     */
+    push(payload, is_binary, ttl = this.#options.ttl) {
+        const bytes = Buffer.byteLength(payload);
+        const { max_bytes, overflow } = this.#options;
+        this._purge();
+
+        // Payloads larger than the entire outbox can never be buffered
+        let dropped = 0;
+        if (bytes > max_bytes || (!this._fits(bytes) && overflow !== 'drop_oldest')) {
+            if (overflow === 'reject')
+                throw new Error('Outbound buffer is full and overflow policy is set to reject');
+            return { buffered: false, dropped };
+        }
+
+        // Drop oldest entries until the new payload fits
+        while (!this._fits(bytes)) {
+            this.#bytes -= this.#entries.shift().bytes;
+            dropped++;
+        }
+
+        this.#bytes += bytes;
+        this.#entries.push({
+            payload,
+            is_binary,
+            bytes,
+            expires_at: ttl > 0 ? Date.now() + ttl : 0,
+        });
+        return { buffered: true, dropped };
+    }
+
+    /**
+     * Flushes unexpired payloads in order through the provided send handler.
+     * Flushing stops at the first payload which could not be sent.
+     *
+     * @param {Function} send Example: (payload, is_binary) => Boolean
+     * @returns {Number} Number of payloads flushed
+     */
+    flush(send) {
+        let flushed = 0;
+        this._purge();
+        while (this.#entries.length > 0) {
+            const entry = this.#entries[0];
+            if (send(entry.payload, entry.is_binary) === false) break;
+
+            this.#entries.shift();
+            this.#bytes -= entry.bytes;
+            flushed++;
+        }
+        return flushed;
+    }
+
+    /**
+     * Removes all entries from the outbox.
+     */
+    clear() {
+        this.#entries = [];
+        this.#bytes = 0;
+    }
+
+    /* Outbox Getters */
+    get depth() {
+        return this.#entries.length;
+    }
+
+    get bytes() {
+        return this.#bytes;
+    }
+}
+
+module.exports = Outbox;
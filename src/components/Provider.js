@@ -1,6 +1,43 @@
 const EventEmitter = require('events');
 const HyperExpress = require('hyper-express');
-const { wrap_object } = require('../shared/operators.js');
+const RPC = require('./RPC.js');
+const Queue = require('./Queue.js');
+const Balancer = require('./Balancer.js');
+const Sessions = require('./Sessions.js');
+const Authenticator = require('./Authenticator.js');
+const TLSProxy = require('./TLSProxy.js');
+const RateLimiter = require('./RateLimiter.js');
+const Streams = require('./Streams.js');
+const Latency = require('./Latency.js');
+const Metrics = require('./Metrics.js');
+const Logger = require('./Logger.js');
+const {
+    wrap_object,
+    throttled_for_each,
+    match_topic,
+    is_wildcard_topic,
+    find_free_port,
+} = require('../shared/operators.js');
+const { CHANNELS, encode_envelope, decode_envelope } = require('../shared/envelope.js');
+const { HEADERS } = require('../shared/constants.js');
+const { CODEC_PROTOCOL, resolve_codecs } = require('../shared/codecs.js');
+const { timing_safe_equal } = require('../shared/tokens.js');
+const { normalize_grants, is_granted } = require('../shared/grants.js');
+
+// Metric labels for upgrade rejections by HTTP response code
+const REJECTION_REASONS = {
+    403: 'unauthorized',
+    406: 'unsupported_codec',
+    429: 'too_many_connections',
+    503: 'shutting_down',
+};
+
+// Websocket close codes which are counted under their own metric label
+// Consumers choose their own close codes so any other code is counted as 'other'
+const KNOWN_CLOSE_CODES = [1000, 1001, 1005, 1006, 1008, 1009, 1011, 4000];
+
+// Names of readiness checks which are always performed
+const BUILTIN_HEALTH_CHECKS = ['listening', 'shutdown', 'consumers'];
 
 // crypto.randomUUID is faster but only available on recent versions of Node
 const crypto = require('crypto');
@@ -9,12 +46,27 @@ const UUID_V4 = crypto.randomUUID || UUID.v4;
 
 class Provider {
     #server;
+    #tls_proxy;
     #route;
     #heartbeat_interval;
     #connections = {};
+    #ip_connections = {};
+    #codecs = {};
+    #codec_connections = {};
+    #queues = new Map();
+    #balancer;
+    #sessions;
+    #streams;
+    #authenticator;
+    #shutdown;
+    #listening = false;
+    #started_at = Date.now();
+    #health_checks = {};
+    #metrics = new Metrics('network_cluster_');
     #emitter = new EventEmitter();
+    #rpc = new RPC((ws, type, packet) => this._send_envelope(ws, CHANNELS.CONTROL, type, packet));
+    #logger;
     #handlers = {
-        log: (message) => {},
         error: (error) => {
             throw error;
         },
@@ -26,11 +78,21 @@ class Provider {
         ws: {
             compressor: HyperExpress.compressors.DISABLED,
             max_backpressure: 1024 * 1024,
+            high_water_mark: 512 * 1024,
             max_payload_length: 32 * 1024,
+            compression_threshold: 1024,
         },
+        codecs: ['json', 'msgpack'],
         auth: {
             parameters: null,
             handler: null,
+            max_violations: 0,
+            token: {
+                keys: null,
+                methods: ['hmac', 'jwt'],
+                max_age: 60 * 1000,
+                skew: 5 * 1000,
+            },
         },
         ssl: {
             key: '',
@@ -38,10 +100,75 @@ class Provider {
             passphrase: '',
             dh_params: '',
             prefer_low_memory_usage: false,
+            ca: '',
+            require_client_cert: false,
         },
         heartbeat: {
             interval: 1000 * 30, // By default check every 15 seconds
             max_strikes: 2,
+            latency_samples: 20,
+        },
+        rpc: {
+            timeout: 30 * 1000,
+        },
+        stream: {
+            chunk_size: 16 * 1024,
+            window: 16,
+        },
+        queue: {
+            max_attempts: 3,
+            visibility_timeout: 30 * 1000,
+            backoff: {
+                delay: 1000,
+                factor: 2,
+                max_delay: 30 * 1000,
+            },
+        },
+        balancer: {
+            strategy: 'round_robin',
+            virtual_nodes: 160,
+        },
+        broadcast: {
+            per_eloop: 300,
+        },
+        rate_limit: {
+            messages: 0,
+            bytes: 0,
+            burst: 1,
+            action: 'drop',
+            close_code: 4029,
+            max_delayed: 1000,
+            max_connections_per_ip: 0,
+        },
+        session: {
+            enabled: false,
+            grace: 30 * 1000,
+            max_buffered: 1000,
+        },
+        metrics: {
+            enabled: false,
+            path: '/metrics',
+            auth: null,
+        },
+        admin: {
+            enabled: false,
+            path: '/admin',
+            auth: null,
+        },
+        logging: {
+            level: 'info',
+            redact: ['payload', 'parameters'],
+        },
+        health: {
+            enabled: true,
+            path: '/health',
+            min_consumers: 0,
+            timeout: 5000,
+        },
+        shutdown: {
+            timeout: 30 * 1000,
+            close_code: 1001,
+            retry_after: 5000,
         },
     };
 
@@ -54,19 +181,71 @@ class Provider {
      * @param {Object} options.ws Websocket server options
      * @param {Number} options.ws.compressor Per message deflate compression. Provide one of prests from NetworkCluster.COMPRESSORS
      * @param {Number} options.ws.max_backpressure Max length of backpressure content
+     * @param {Number} options.ws.high_water_mark Backpressure length above which a connection is considered congested until it drains
      * @param {Number} options.ws.max_payload_length Max incoming payload length
+     * @param {Number} options.ws.compression_threshold Minimum payload length to compress when a compressor is enabled
+     * @param {Array} options.codecs Payload codecs consumers may negotiate. Known codec names or custom codec objects. Example: ['json', 'msgpack', { name, binary, encode, decode }]
      * @param {Object} options.auth Incoming connection authentication conditions
      * @param {Object} options.auth.parameters Request parameters parameters to authenticate for incoming consumer connections
-     * @param {Function} options.auth.handler Upgrade Handler for incoming consumer connections to authenticate. Example: (request, response, upgrade) => upgrade(true)
+     * @param {Function} options.auth.handler Upgrade Handler for incoming consumer connections to authenticate. Resolve with true or a grants object to accept. Example: (request, parameters, identity, certificate) => true
+     * @param {Number} options.auth.max_violations Number of grant violations after which a connection is closed. 0 disables closing
+     * @param {Object} options.auth.token Token authentication options. Token authentication is enabled when keys are provided
+     * @param {Object} options.auth.token.keys Active shared keys represented by their key id. Example: { 'key-1': 'secret' }
+     * @param {Array} options.auth.token.methods Accepted token methods. Any of hmac or jwt
+     * @param {Number} options.auth.token.max_age Maximum age in milliseconds of a HMAC token timestamp
+     * @param {Number} options.auth.token.skew Clock skew tolerance in milliseconds applied to all token time checks
      * @param {Object} options.ssl SSL Options [Both ssl.key and ssl.cert are REQUIRED]
      * @param {String} options.ssl.key Path to SSL Key file [REQUIRED]
      * @param {String} options.ssl.cert Path to SSL Cert file [REQUIRED]
      * @param {String} options.ssl.passphrase Secret passphrase for SSL [OPTIONAL]
      * @param {String} options.ssl.dh_params Path to SSL DH Params file [OPTIONAL]
      * @param {Boolean} options.ssl.prefer_low_memory_usage Specifies whether to prefer lower SSL usage for uWebsockets.js
+     * @param {String} options.ssl.ca Path to CA bundle file used to verify client certificates
+     * @param {Boolean} options.ssl.require_client_cert Whether consumers must present a client certificate signed by ssl.ca
      * @param {Object} options.heartbeat Heartbeat (Ping Pong) cycle policy options
      * @param {Number} options.heartbeat.interval Interval in milliseconds to perform Ping/Pong cycle
      * @param {Number} options.heartbeat.max_strikes Max number of inactive ping responses before disconnection and cleanup
+     * @param {Number} options.heartbeat.latency_samples Number of most recent round trip times used for latency statistics
+     * @param {Object} options.rpc Request/Response options
+     * @param {Number} options.rpc.timeout Default time in milliseconds to wait for a response before rejecting a request
+     * @param {Object} options.stream Chunked streaming options
+     * @param {Number} options.stream.chunk_size Maximum number of bytes sent in each chunk. Must be below the consumer's max payload length
+     * @param {Number} options.stream.window Number of chunks which can be in flight before the receiver grants more credit
+     * @param {Object} options.queue Default work queue options. See Queue constructor for all options
+     * @param {Object} options.balancer Load balancing options
+     * @param {String|Function} options.balancer.strategy Default strategy for Provider.pick() and Provider.send_to_any()
+     * @param {Number} options.balancer.virtual_nodes Number of points each connection occupies on the consistent hash ring
+     * @param {Object} options.broadcast Broadcast options
+     * @param {Number} options.broadcast.per_eloop Number of connections to deliver to synchronously before yielding the event loop
+     * @param {Object} options.rate_limit Inbound rate limiting options applied per connection. Grants can override these per connection
+     * @param {Number} options.rate_limit.messages Messages allowed per second for each connection. 0 disables the limit
+     * @param {Number} options.rate_limit.bytes Bytes allowed per second for each connection. 0 disables the limit
+     * @param {Number} options.rate_limit.burst Bucket capacity in seconds worth of messages/bytes
+     * @param {String} options.rate_limit.action Action on violation. One of drop, delay or disconnect
+     * @param {Number} options.rate_limit.close_code Websocket close code used by the disconnect action
+     * @param {Number} options.rate_limit.max_delayed Maximum number of delayed messages per connection before further messages are dropped
+     * @param {Number} options.rate_limit.max_connections_per_ip Maximum number of connections from a single IP. 0 disables the cap
+     * @param {Object} options.session Resumable session options
+     * @param {Boolean} options.session.enabled Whether reconnecting consumers can resume their previous session
+     * @param {Number} options.session.grace Time in milliseconds a disconnected session can be resumed within
+     * @param {Number} options.session.max_buffered Maximum number of messages buffered for a disconnected session
+     * @param {Object} options.metrics Prometheus metrics endpoint options
+     * @param {Boolean} options.metrics.enabled Whether metrics are exposed on the HyperExpress server
+     * @param {String} options.metrics.path Path on which metrics are exposed
+     * @param {String|Function} options.metrics.auth Bearer token or handler which authorizes metrics requests. Example: (request) => Boolean
+     * @param {Object} options.admin Admin HTTP API options
+     * @param {Boolean} options.admin.enabled Whether admin routes are exposed on the HyperExpress server
+     * @param {String} options.admin.path Path prefix of admin routes
+     * @param {String|Function} options.admin.auth Required bearer token or handler which authorizes admin requests. Example: (request) => Boolean
+     * @param {Object} options.logging Structured logging options
+     * @param {String} options.logging.level Minimum level of log records passed to the logger. One of debug, info, warn, error or silent
+     * @param {Array} options.logging.redact Names of log record fields whose values are redacted
+     * @param {Object} options.health Health endpoint options
+     * @param {Boolean} options.health.enabled Whether liveness and readiness routes are exposed on the HyperExpress server
+     * @param {String} options.health.path Path prefix of the /live and /ready routes
+     * @param {Number} options.health.min_consumers Minimum number of connected consumers for the Provider to be ready
+     * @param {Number} options.health.timeout Time in milliseconds a custom health check has to complete before it fails
+     * @param {Object} options.shutdown Default graceful shutdown options. See Provider.shutdown() for all options
      */
     constructor(options = this.#options) {
         // Enforce option type
@@ -75,8 +254,33 @@ class Provider {
 
         // Wrap options object with user options
         wrap_object(this.#options, options);
+        this.#logger = new Logger(this.#options.logging);
+        resolve_codecs(this.#options.codecs).forEach((codec) => (this.#codecs[codec.name] = codec));
+        this.#balancer = new Balancer(this.#connections, this.#options.balancer);
+        this.#streams = new Streams(
+            (ws, channel, event, data) => this._send_envelope(ws, channel, event, data),
+            (ws, name, readable) => this._on_stream(ws, name, readable),
+            this.#options.stream
+        );
+        const { keys, ...token } = this.#options.auth.token;
+        if (keys) this.#authenticator = new Authenticator(keys, token);
+
+        // Validate default rate limit and latency options before any connections are accepted
+        this._create_rate_limiter(null);
+        new Latency(this.#options.heartbeat.latency_samples);
+        const { admin } = this.#options;
+        if (admin.enabled && !['string', 'function'].includes(typeof admin.auth))
+            throw new Error(
+                'new Provider() -> options.admin.auth must be a String or Function when the admin API is enabled'
+            );
+        if (this.#options.session.enabled)
+            this.#sessions = new Sessions(this.#options.session, (id) => {
+                this.#logger.info('SESSION_EXPIRED', { connection_id: id });
+                this.#emitter.emit('session_expired', id);
+            });
 
-        // Initiate server and heartbeat cycle
+        // Initiate metrics, server and heartbeat cycle
+        this._initiate_metrics();
         this._initiate_server();
         this._initiate_heartbeat_cycle();
     }
@@ -90,7 +294,8 @@ class Provider {
         const { key, cert, passphrase, dh_params, prefer_low_memory_usage } = ssl;
 
         // Create a new HyperExpress.Server instance
-        if (key && cert && passphrase) {
+        // Mutual TLS is terminated by a TLSProxy in front of a local server instead
+        if (key && cert && passphrase && !ssl.require_client_cert) {
             this.#server = new HyperExpress.Server({
                 key_file_name: key,
                 cert_file_name: cert,
@@ -102,9 +307,18 @@ class Provider {
             this.#server = new HyperExpress.Server();
         }
 
-        this.#server.get('/alive', (request, response) =>
-            response.send('Hello World @ ' + Date.now())
-        );
+        // Bind health routes if enabled
+        if (this.#options.health.enabled) this._bind_health_routes();
+
+        // Bind metrics route if enabled
+        const metrics = this.#options.metrics;
+        if (metrics.enabled)
+            this.#server.get(metrics.path, (request, response) =>
+                this._on_metrics_request(request, response)
+            );
+
+        // Bind admin routes if enabled
+        if (this.#options.admin.enabled) this._bind_admin_routes();
 
         // Bind server error handler to emitter
         let reference = this;
@@ -117,12 +331,238 @@ class Provider {
         this._bind_listener_route();
 
         // Listen on specified user port
-        this.#server
-            .listen(port)
-            .then(() => this.#handlers.log('SERVER_ACTIVE|' + port))
+        this._listen()
+            .then(() => {
+                this.#listening = true;
+                this.#logger.info('SERVER_ACTIVE', { port });
+            })
             .catch((error) => this.#handlers.error(error));
     }
 
+    /**
+     * Binds liveness and readiness routes for orchestrators and load balancers.
+     */
+    _bind_health_routes() {
+        const { path } = this.#options.health;
+        this.#server.get(path + '/live', (request, response) =>
+            response.json({ status: 'alive', uptime: Date.now() - this.#started_at })
+        );
+        this.#server.get(path + '/ready', async (request, response) => {
+            const health = await this.health();
+            return response.status(health.status === 'ready' ? 200 : 503).json(health);
+        });
+    }
+
+    /**
+     * Runs a custom health check which fails when it throws, times out or does not resolve with true.
+     *
+     * @param {Function} handler Example: async () => Boolean
+     * @param {Number} timeout Time in milliseconds the check has to complete
+     * @returns {Promise} Promise(Object: { ok: Boolean, error: String })
+     */
+    _run_health_check(handler, timeout) {
+        let timer;
+        const expiry = new Promise((resolve, reject) => {
+            timer = setTimeout(
+                () => reject(new Error('Health check timed out after ' + timeout + 'ms')),
+                timeout
+            );
+        });
+
+        return Promise.race([Promise.resolve().then(() => handler()), expiry])
+            .then(
+                (result) => ({ ok: result === true }),
+                (error) => ({
+                    ok: false,
+                    error: error instanceof Error ? error.message : String(error),
+                })
+            )
+            .finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Registers all metrics collected by this Provider.
+     */
+    _initiate_metrics() {
+        const metrics = this.#metrics;
+        metrics.gauge(
+            'connections',
+            'Number of open consumer connections.',
+            () => Object.keys(this.#connections).length
+        );
+        metrics.counter('connects_total', 'Number of consumer connections opened.');
+        metrics.counter('disconnects_total', 'Number of consumer connections closed.', 'code');
+        metrics.counter('rejections_total', 'Number of rejected connection upgrades.', 'reason');
+        metrics.counter('heartbeat_strikes_total', 'Number of missed heartbeat pongs.');
+        metrics.counter(
+            'heartbeat_kills_total',
+            'Number of connections closed for missing heartbeats.'
+        );
+        metrics.counter('messages_received_total', 'Number of frames received from consumers.');
+        metrics.counter('messages_sent_total', 'Number of frames sent to consumers.');
+        metrics.counter('bytes_received_total', 'Number of bytes received from consumers.');
+        metrics.counter('bytes_sent_total', 'Number of bytes sent to consumers.');
+        metrics.counter(
+            'backpressure_drops_total',
+            'Number of messages dropped as connection backpressure reached ws.max_backpressure.'
+        );
+        metrics.histogram(
+            'rtt_seconds',
+            'Heartbeat round trip time in seconds.',
+            [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5]
+        );
+    }
+
+    /**
+     * Handles requests to the metrics route and responds with metrics in the Prometheus text format.
+     *
+     * @param {Request} request
+     * @param {Response} response
+     */
+    async _on_metrics_request(request, response) {
+        const authorized = await this._authorize_request(request, this.#options.metrics.auth);
+        if (!authorized) return response.status(401).send('Unauthorized');
+
+        return response
+            .header('content-type', 'text/plain; version=0.0.4; charset=utf-8')
+            .send(this.#metrics.render());
+    }
+
+    /**
+     * Authorizes an HTTP request with a bearer token or auth handler.
+     * Requests are always authorized when no auth is configured.
+     *
+     * @param {Request} request
+     * @param {String|Function} auth Bearer token or handler. Example: (request) => Boolean
+     * @returns {Promise} Promise(Boolean: authorized)
+     */
+    async _authorize_request(request, auth) {
+        if (typeof auth == 'string')
+            return timing_safe_equal(request.headers[HEADERS.AUTHORIZATION], 'Bearer ' + auth);
+        if (typeof auth == 'function') return (await auth(request)) === true;
+        return true;
+    }
+
+    /**
+     * Binds admin routes which inspect and manage consumer connections.
+     */
+    _bind_admin_routes() {
+        const { path, auth } = this.#options.admin;
+        const route = (method, pattern, handler) =>
+            this.#server[method](path + pattern, async (request, response) => {
+                // Authorize request with the admin credential before running the handler
+                const authorized = await this._authorize_request(request, auth);
+                if (!authorized) return response.status(401).json({ error: 'Unauthorized' });
+                return handler(request, response);
+            });
+
+        // Resolves the connection of a route or responds with 404 when it is not connected
+        const find = (request, response) => {
+            const { id } = request.path_parameters;
+            const connection = Object.prototype.hasOwnProperty.call(this.#connections, id)
+                ? this.#connections[id]
+                : undefined;
+            if (connection === undefined)
+                response.status(404).json({ error: 'No connection found with this id' });
+            return connection;
+        };
+
+        route('get', '/connections', (request, response) =>
+            response.json(
+                Object.keys(this.#connections).map((id) =>
+                    this._describe_connection(this.#connections[id])
+                )
+            )
+        );
+
+        route('get', '/connections/:id', (request, response) => {
+            const connection = find(request, response);
+            if (connection) response.json(this._describe_connection(connection));
+        });
+
+        route('post', '/connections/:id/kick', async (request, response) => {
+            const { reason, code } = (await request.json()) || {};
+            const connection = find(request, response);
+
+            // Only application close codes may be used as others are reserved by the websocket protocol
+            const close_code = Number.isInteger(code) && code >= 4000 && code <= 4999 ? code : 4000;
+            if (connection) response.json({ kicked: this.kick(connection, reason, close_code) });
+        });
+
+        route('post', '/connections/:id/send', async (request, response) => {
+            const { event, data } = (await request.json()) || {};
+            const connection = find(request, response);
+            if (connection === undefined) return;
+            const status =
+                typeof event == 'string'
+                    ? this.send(connection, event, data)
+                    : this.send(connection, data);
+            response.json({ status });
+        });
+
+        route('post', '/broadcast', async (request, response) => {
+            const { message, filter, include_paused } = (await request.json()) || {};
+            response.json(await this.broadcast(message, { filter, include_paused }));
+        });
+    }
+
+    /**
+     * Describes a consumer connection as a JSON serializable object for the admin API.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @returns {Object}
+     */
+    _describe_connection(ws) {
+        const { latency } = ws;
+        return {
+            id: ws.id,
+            ip: ws.ip,
+            parameters: ws.parameters,
+            tags: ws.tags,
+            identity: ws.identity,
+            codec: ws.codec.name,
+            connected_at: ws.connected_at,
+            last_ping: ws.last_ping,
+            strikes: ws.strikes,
+            rtt: { last: latency.last, avg: latency.avg, p95: latency.p95 },
+            subscriptions: ws.subscriptions,
+            in_flight: ws.in_flight,
+            paused: ws.paused,
+            congested: ws.congested,
+            counters: ws.counters,
+        };
+    }
+
+    /**
+     * Counts a frame sent to a consumer connection in metrics.
+     *
+     * @param {String|Buffer} payload
+     */
+    _count_sent(payload) {
+        this.#metrics.increment('messages_sent_total');
+        this.#metrics.increment(
+            'bytes_sent_total',
+            typeof payload == 'string' ? Buffer.byteLength(payload) : payload.length
+        );
+    }
+
+    /**
+     * Starts listening on the specified user port.
+     * When client certificates are required, the server listens on a free local port behind a TLSProxy
+     * as uWebsockets.js does not expose client certificates.
+     *
+     * @returns {Promise}
+     */
+    async _listen() {
+        const { port, ssl } = this.#options;
+        if (!ssl.require_client_cert) return this.#server.listen(port);
+
+        const local_port = await find_free_port();
+        this.#tls_proxy = new TLSProxy(ssl, local_port);
+        await this.#server.listen(local_port, '127.0.0.1');
+        await this.#tls_proxy.listen(port);
+    }
+
     /**
      * Binds listener route for incoming consumer connections.
      */
@@ -141,17 +581,27 @@ class Provider {
         this.#route.handle('upgrade', (a, b) => this._on_connection_upgrade(a, b));
         this.#route.handle('open', (a) => this._on_connection_open(a));
         this.#route.handle('message', (a, b, c) => this._on_connection_message(a, b, c));
+        this.#route.handle('drain', (a) => this._on_connection_drain(a));
         this.#route.handle('close', (a, b, c) => this._on_connection_close(a, b, c));
     }
 
     /**
      * Rejects incoming HyperExpress Request with specified HTTP response code.
+     * Only the request path is logged as query parameters may contain credentials.
      *
+     * @param {Request} request
      * @param {Response} response
      * @param {Number} code HTTP response code
+     * @param {String} reason Rejection reason for debug logs
      */
-    _reject_upgrade(request, response, code = 403) {
-        this.#handlers.log('REJECT_CONNECTION|' + request.ip + '|' + request.url);
+    _reject_upgrade(request, response, code = 403, reason = 'Unauthorized') {
+        this.#logger.warn('REJECT_CONNECTION', {
+            ip: request.ip,
+            path: request.path,
+            reason,
+            code,
+        });
+        this.#metrics.increment('rejections_total', 1, REJECTION_REASONS[code] || code);
         return response.status(code).send('Unauthorized');
     }
 
@@ -163,14 +613,45 @@ class Provider {
      */
     async _on_connection_upgrade(request, response) {
         const { parameters, handler } = this.#options.auth;
+        if (this.#shutdown) return this._reject_upgrade(request, response, 503, 'Shutting down');
+
+        // Verify client certificate forwarded by the TLSProxy if client certificates are required
+        let certificate = null;
+        if (this.#options.ssl.require_client_cert) {
+            certificate =
+                this.#tls_proxy &&
+                this.#tls_proxy.verify(request.headers[HEADERS.CLIENT_CERTIFICATE]);
+            if (!certificate)
+                return this._reject_upgrade(request, response, 403, 'Missing client certificate');
+        }
+
+        // Enforce connection cap per IP using the client address forwarded by the TLSProxy if present
+        const ip = certificate ? certificate.ip : request.ip;
+        if (this._ip_limit_reached(ip))
+            return this._reject_upgrade(request, response, 429, 'Too many connections');
+
+        // Negotiate a payload codec which both sides support
+        const codec = this._select_codec(request);
+        if (codec === undefined)
+            return this._reject_upgrade(request, response, 406, 'No supported codec');
+
+        // Verify signed token from authorization header if token authentication is enabled
+        let identity = null;
+        if (this.#authenticator) {
+            try {
+                identity = this.#authenticator.verify(request.headers[HEADERS.AUTHORIZATION]);
+            } catch (error) {
+                return this._reject_upgrade(request, response, 403, error.message);
+            }
+        }
 
         // Verify parameters from incoming request if specified as required
         if (parameters) {
-            // Match incoming request parameters against required parameters
+            // Match incoming request parameters against required parameters in constant time
             let verdict = true;
             let request_parameters = request.query_parameters;
             Object.keys(parameters).forEach((key) => {
-                if (request_parameters[key] !== parameters[key]) verdict = false;
+                if (!timing_safe_equal(request_parameters[key], parameters[key])) verdict = false;
             });
 
             // Reject upgrade request if verdict is to decline upgrade
@@ -178,17 +659,79 @@ class Provider {
         }
 
         // Verify incoming upgrade request using handler if provided by user
+        // Handlers may resolve with a grants object to accept the connection with restricted access
+        let grants = null;
+        let rate_limiter;
         if (typeof handler == 'function') {
             try {
-                let result = await handler(request, request.query_parameters);
-                if (result !== true) return this._reject_upgrade(request, response);
+                let result = await handler(
+                    request,
+                    request.query_parameters,
+                    identity,
+                    certificate
+                );
+                if (result !== true && (result === null || typeof result !== 'object'))
+                    return this._reject_upgrade(request, response);
+                grants = normalize_grants(result);
+                rate_limiter = this._create_rate_limiter(grants);
             } catch (error) {
                 this.#handlers.error(error);
                 return this._reject_upgrade(request, response);
             }
         }
 
-        return this._upgrade_connection(request, response);
+        // Reject upgrades which were authenticated after a shutdown began
+        if (this.#shutdown) return this._reject_upgrade(request, response, 503, 'Shutting down');
+
+        // Concurrent upgrades from the same IP may have opened connections while the handler was pending
+        if (this._ip_limit_reached(ip))
+            return this._reject_upgrade(request, response, 429, 'Too many connections');
+        return this._upgrade_connection(request, response, {
+            ip,
+            codec,
+            identity,
+            certificate,
+            grants,
+            rate_limiter,
+        });
+    }
+
+    /**
+     * Returns whether the specified IP has reached its connection cap.
+     * Connections are counted when opened which happens synchronously with the upgrade.
+     *
+     * @param {String} ip
+     * @returns {Boolean}
+     */
+    _ip_limit_reached(ip) {
+        const { max_connections_per_ip } = this.#options.rate_limit;
+        return max_connections_per_ip > 0 && this.#ip_connections[ip] >= max_connections_per_ip;
+    }
+
+    /**
+     * Selects the first codec offered through websocket subprotocols which this Provider supports.
+     * The subprotocol header is narrowed to the selected codec as it is echoed back on upgrade.
+     * Consumers which offer no codecs use the json codec.
+     *
+     * @param {Request} request
+     * @returns {Object|undefined} Codec or undefined if no offered codec is supported
+     */
+    _select_codec(request) {
+        const header = request.headers['sec-websocket-protocol'];
+        const offered = (header || '')
+            .split(',')
+            .map((protocol) => protocol.trim())
+            .filter((protocol) => protocol.startsWith(CODEC_PROTOCOL));
+        if (offered.length == 0) return this.#codecs['json'];
+
+        const protocol = offered.find((protocol) => {
+            const name = protocol.slice(CODEC_PROTOCOL.length);
+            return this.#codecs.hasOwnProperty(name);
+        });
+        if (protocol === undefined) return;
+
+        request.headers['sec-websocket-protocol'] = protocol;
+        return this.#codecs[protocol.slice(CODEC_PROTOCOL.length)];
     }
 
     /**
@@ -196,18 +739,81 @@ class Provider {
      *
      * @param {Request} request
      * @param {Response} response
+     * @param {Object} context Verified authentication context
+     * @param {String} context.ip Client address
+     * @param {Object} context.codec Negotiated payload codec
+     * @param {Object} context.identity Verified token identity or null if token authentication is disabled
+     * @param {Object} context.certificate Verified client certificate or null if client certificates are not required
+     * @param {Object} context.grants Normalized grants or null for unrestricted access
+     * @param {RateLimiter} context.rate_limiter Rate limiter created from grants
      */
-    _upgrade_connection(request, response) {
-        const id = UUID_V4();
-        this.#handlers.log('CONNECTION_UPGRADE|' + id + '|' + request.ip);
-        return response.upgrade({
-            id: id,
-            ip: request.ip,
-            parameters: request.query_parameters,
-            alive: true,
-            strikes: 0,
-            last_ping: Date.now(),
-        });
+    _upgrade_connection(request, response, context = {}) {
+        const { ip = request.ip, identity = null, certificate = null, grants = null } = context;
+        const codec = context.codec || this.#codecs['json'] || Object.values(this.#codecs)[0];
+        const rate_limiter = context.rate_limiter || this._create_rate_limiter(grants);
+
+        // Restore identity and state of a suspended session if a resumable token was presented
+        const session = this.#sessions && this.#sessions.claim(request.headers[HEADERS.SESSION]);
+        const id = session ? session.id : UUID_V4();
+        const parameters = session ? session.state.parameters : request.query_parameters;
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug(session ? 'CONNECTION_RESUME' : 'CONNECTION_UPGRADE', {
+                connection_id: id,
+                ip,
+                parameters,
+            });
+        try {
+            return response.upgrade({
+                id: id,
+                ip: ip,
+                codec: codec,
+                identity: identity,
+                certificate: certificate && {
+                    subject: certificate.subject,
+                    issuer: certificate.issuer,
+                    fingerprint: certificate.fingerprint,
+                    valid_to: certificate.valid_to,
+                },
+                parameters: parameters,
+                tags: session
+                    ? session.state.tags
+                    : typeof parameters.tags == 'string'
+                    ? parameters.tags.split(',').filter((t) => t)
+                    : [],
+                grants: grants,
+                violations: 0,
+                rate_limiter: rate_limiter,
+                delayed: [],
+                delay_timeout: null,
+                counters: {
+                    messages: 0,
+                    bytes: 0,
+                    dropped: 0,
+                    delayed: 0,
+                    rate_limited: 0,
+                },
+                alive: true,
+                strikes: 0,
+                latency: new Latency(this.#options.heartbeat.latency_samples),
+                in_flight: 0,
+                processing: new Map(),
+                paused: false,
+                congested: false,
+                drain_waiters: [],
+                resumed: session !== undefined,
+                subscriptions: session
+                    ? session.state.subscriptions.filter((pattern) =>
+                          is_granted(grants, 'subscribe', pattern)
+                      )
+                    : [],
+                connected_at: Date.now(),
+                last_ping: Date.now(),
+                ping: null,
+            });
+        } finally {
+            // Connections open synchronously with the upgrade thus a claimed session without one was aborted
+            if (session && this.#connections[id] === undefined) this.#sessions.release(id);
+        }
     }
 
     /**
@@ -216,46 +822,506 @@ class Provider {
      * @param {uWS.Websocket} ws Websocket connection
      */
     _on_connection_open(ws) {
-        // Store connection to connections pool
+        // Store connection to connections pool and balancer
         this.#connections[ws.id] = ws;
-        this.#handlers.log('CONNECTION_OPEN|' + ws.id);
-
-        // Emit 'open' event on Provider emitter
-        this.#emitter.emit('open', ws);
+        this.#ip_connections[ws.ip] = (this.#ip_connections[ws.ip] || 0) + 1;
+        this.#codec_connections[ws.codec.name] = (this.#codec_connections[ws.codec.name] || 0) + 1;
+        this.#balancer._add(ws);
+        this.#metrics.increment('connects_total');
+        this.#logger.info('CONNECTION_OPEN', { connection_id: ws.id, ip: ws.ip });
 
         // Send heartbeat interval from provider
-        ws.send('PROVIDER_HEARTBEAT|' + this.#options.heartbeat.interval);
+        this._send_envelope(ws, CHANNELS.CONTROL, 'HEARTBEAT', this.#options.heartbeat.interval);
+        if (this.#sessions === undefined) return this.#emitter.emit('open', ws);
+
+        // Issue a new session token which the consumer presents when reconnecting
+        const { token, buffered } = this.#sessions.issue(ws);
+        this._send_envelope(ws, CHANNELS.CONTROL, 'SESSION', {
+            id: ws.id,
+            token,
+            resumed: ws.resumed,
+            grace: this.#options.session.grace,
+        });
+        if (!ws.resumed) return this.#emitter.emit('open', ws);
+
+        // Restore exact topic subscriptions and deliver messages buffered while disconnected
+        ws.subscriptions.forEach((pattern) => {
+            if (!is_wildcard_topic(pattern)) ws.subscribe(this._topic_key(ws, pattern));
+        });
+        buffered.forEach(([channel, event, data]) => this._send_envelope(ws, channel, event, data));
+
+        // Emit 'resume' event on Provider emitter
+        this.#emitter.emit('resume', ws, buffered.length);
     }
 
     /**
      * Handles incoming messages from websocket connections.
      *
      * @param {uWS.Websocket} ws Websocket connection
-     * @param {String} message Message
+     * @param {String|ArrayBuffer} message Message
      * @param {Boolean} is_binary
      */
     _on_connection_message(ws, message, is_binary) {
-        // Handle pong mesages to mark connections as active
-        if (message === 'PONG') {
-            this.#handlers.log('HEARTBEAT_ALIVE|' + ws.id);
-            ws.strikes = 0;
-            ws.last_ping = Date.now();
-            return (ws.alive = true);
+        const bytes = is_binary ? message.byteLength : Buffer.byteLength(message);
+        ws.counters.messages++;
+        ws.counters.bytes += bytes;
+        this.#metrics.increment('messages_received_total');
+        this.#metrics.increment('bytes_received_total', bytes);
+
+        // Decode envelope and treat unrecognized frames as untyped messages
+        const envelope = decode_envelope(message, is_binary, ws.codec) || {
+            channel: CHANNELS.MESSAGE,
+            event: null,
+            data: is_binary ? Buffer.from(new Uint8Array(message)) : message,
+        };
+        const payload = is_binary ? '<BINARY>' : message;
+        if (this._is_reply(ws, envelope)) return this._handle_message(ws, envelope, payload);
+
+        // Queue behind already delayed messages to preserve ordering
+        if (ws.delayed.length > 0) return this._delay_message(ws, envelope, payload, bytes);
+
+        // Apply rate limit violation action to messages which exceed connection limits
+        const limit = ws.rate_limiter.consume(bytes);
+        if (limit) return this._on_rate_limited(ws, limit, envelope, payload, bytes);
+        this._handle_message(ws, envelope, payload);
+    }
+
+    /**
+     * Returns whether an envelope answers traffic started by this Provider on the connection.
+     * Replies are never rate limited as dropping them would fail heartbeats, time out requests and retry jobs.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Object} envelope Decoded envelope
+     * @returns {Boolean}
+     */
+    _is_reply(ws, envelope) {
+        const { channel, event, data } = envelope;
+        if (channel !== CHANNELS.CONTROL) return false;
+        if (event === 'PONG') return ws.ping !== null && data === ws.ping;
+        if (data === null || typeof data !== 'object') return false;
+        if (event === 'RPC_RESPONSE') return this.#rpc._is_pending(ws, data.id);
+        if (event === 'QUEUE_ACK' || event === 'QUEUE_NACK') {
+            const queue = this.#queues.get(data.queue);
+            return queue !== undefined && queue._is_in_flight(ws, data.id);
         }
+        return false;
+    }
+
+    /**
+     * Creates a rate limiter for a connection with grant rate limits taking precedence over default options.
+     *
+     * @param {Object} grants Normalized grants
+     * @returns {RateLimiter}
+     */
+    _create_rate_limiter(grants) {
+        const { max_connections_per_ip, ...options } = this.#options.rate_limit;
+        return new RateLimiter(Object.assign(options, grants && grants.rate_limit));
+    }
+
+    /**
+     * Applies the rate limit violation action to a message which exceeded a limit.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} limit Exceeded limit. One of messages or bytes
+     * @param {Object} envelope Decoded envelope
+     * @param {String} payload Raw message used for logging
+     * @param {Number} bytes
+     */
+    _on_rate_limited(ws, limit, envelope, payload, bytes) {
+        const { action, close_code } = ws.rate_limiter.options;
+        ws.counters.rate_limited++;
+        this.#logger.warn('RATE_LIMITED', { connection_id: ws.id, ip: ws.ip, limit, action });
+        this.#emitter.emit('rate_limited', ws, limit, action);
+
+        switch (action) {
+            case 'disconnect':
+                ws.counters.dropped++;
+                if (this.#connections[ws.id] === ws) ws.end(close_code, 'Rate Limit Exceeded');
+                return;
+            case 'delay':
+                return this._delay_message(ws, envelope, payload, bytes);
+            default:
+                ws.counters.dropped++;
+        }
+    }
+
+    /**
+     * Delays a message until the connection rate limiter has sufficient tokens.
+     * Messages which can never fit within the limits or exceed the delay queue are dropped.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Object} envelope Decoded envelope
+     * @param {String} payload Raw message used for logging
+     * @param {Number} bytes
+     */
+    _delay_message(ws, envelope, payload, bytes) {
+        if (
+            ws.delayed.length >= ws.rate_limiter.options.max_delayed ||
+            ws.rate_limiter.wait_time(bytes) === Infinity
+        )
+            return ws.counters.dropped++;
+
+        // Decoded envelopes hold copies of binary data thus remain valid after this call
+        ws.counters.delayed++;
+        ws.delayed.push([envelope, payload, bytes]);
+        if (ws.delay_timeout === null) this._schedule_delayed(ws);
+    }
+
+    /**
+     * Schedules processing of delayed messages once the first one is allowed.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     */
+    _schedule_delayed(ws) {
+        const [, , bytes] = ws.delayed[0];
+        ws.delay_timeout = setTimeout(() => {
+            ws.delay_timeout = null;
+            if (this.#connections[ws.id] !== ws) return;
+
+            // Process delayed messages in order until limits are reached again
+            while (ws.delayed.length > 0) {
+                const [envelope, payload, bytes] = ws.delayed[0];
+                if (ws.rate_limiter.consume(bytes)) return this._schedule_delayed(ws);
+                ws.delayed.shift();
+                this._handle_message(ws, envelope, payload);
+            }
+        }, ws.rate_limiter.wait_time(bytes));
+    }
+
+    /**
+     * Dispatches an incoming message which passed rate limits.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Object} envelope Decoded envelope
+     * @param {String} payload Raw message used for logging
+     */
+    _handle_message(ws, envelope, payload) {
+        // Handle internal control packets separately from user messages
+        const { channel, event, data } = envelope;
+        if (channel === CHANNELS.CONTROL) return this._on_control_message(ws, event, data);
+        if (channel === CHANNELS.STREAM) return this.#streams._on_chunk(ws, event, data);
+        if (channel === CHANNELS.TOPIC) {
+            if (!this._authorize(ws, 'publish', event)) return;
+            return this._on_topic_message(ws, event, data);
+        }
+
+        // Reject untyped messages and typed events which are not granted
+        if (
+            !(event === null
+                ? this._authorize(ws, 'messages')
+                : this._authorize(ws, 'events', event))
+        )
+            return;
 
         // Log connection message
-        this.#handlers.log('CONNECTION_MESSAGE|' + ws.id + '|' + message);
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('CONNECTION_MESSAGE', { connection_id: ws.id, payload });
+
+        // Emit 'message' event for untyped messages and 'event:name' event for typed messages
+        if (event === null) return this.#emitter.emit('message', ws, data);
+        this.#emitter.emit('event:' + event, ws, data);
+    }
+
+    /**
+     * Handles incoming control packets from websocket connections.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} event Control event
+     * @param {*} data Control data
+     */
+    _on_control_message(ws, event, data) {
+        switch (event) {
+            case 'PING':
+                // Echo consumer pings so consumers can measure round trip time as well
+                return this._send_envelope(ws, CHANNELS.CONTROL, 'PONG', data);
+            case 'PONG':
+                // Only accept the pong echoing the outstanding ping so consumers can not fake latency or liveness
+                if (ws.ping === null || data !== ws.ping) return;
+                ws.ping = null;
+
+                // Handle pong mesages to mark connections as active
+                if (this.#logger.enabled('debug'))
+                    this.#logger.debug('HEARTBEAT_ALIVE', { connection_id: ws.id });
+                ws.strikes = 0;
+                ws.last_ping = Date.now();
+                ws.alive = true;
+                return this._on_latency(ws, data);
+            case 'RPC_REQUEST':
+                if (!this._authorize(ws, 'rpc', data && data.name)) {
+                    const error = new Error(`Request "${data && data.name}" is not granted`);
+                    error.code = 'FORBIDDEN';
+                    return this.#rpc._reject_request(ws, data, error);
+                }
+
+                // Refuse new requests while draining so shutdown is not held up by fresh work
+                if (this.#shutdown) {
+                    const error = new Error('Provider is shutting down');
+                    error.code = 'SHUTTING_DOWN';
+                    return this.#rpc._reject_request(ws, data, error);
+                }
+                return this.#rpc._on_request(ws, data);
+            case 'RPC_RESPONSE':
+                return this.#rpc._on_response(ws, data);
+            case 'PAUSE':
+            case 'RESUME':
+                return this._set_paused(ws, event === 'PAUSE');
+            case 'SUBSCRIBE':
+                return this._subscribe(ws, data);
+            case 'UNSUBSCRIBE':
+                return this._unsubscribe(ws, data);
+            case 'QUEUE_PROCESS':
+            case 'QUEUE_ACK':
+            case 'QUEUE_NACK':
+                return this._on_queue_message(ws, event, data);
+            case 'STREAM_OPEN':
+            case 'STREAM_END':
+            case 'STREAM_ABORT':
+            case 'STREAM_CREDIT':
+            case 'STREAM_DONE':
+            case 'STREAM_CANCEL':
+                return this.#streams._on_control(ws, event, data);
+        }
+    }
+
+    /**
+     * Marks a connection as paused or resumed.
+     * Paused connections are skipped by work queues, load balancing and broadcasts.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Boolean} paused
+     */
+    _set_paused(ws, paused) {
+        if (ws.paused === paused) return;
+        ws.paused = paused;
+        this.#logger.info(paused ? 'CONNECTION_PAUSE' : 'CONNECTION_UNPAUSE', {
+            connection_id: ws.id,
+        });
+
+        // Dispatch jobs held back while the connection was paused
+        if (!paused) this.#queues.forEach((queue) => queue._dispatch());
+        this.#emitter.emit(paused ? 'pause' : 'unpause', ws);
+    }
+
+    /**
+     * Handles an incoming stream from a websocket connection.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} name Stream name
+     * @param {Readable} readable
+     * @returns {Boolean} Returns false to refuse the stream
+     */
+    _on_stream(ws, name, readable) {
+        // Refuse streams which are not granted or have no listener to consume them
+        if (!this._authorize(ws, 'streams', name)) return false;
+        if (this.#emitter.listenerCount('stream') == 0) return false;
+
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('CONNECTION_STREAM', { connection_id: ws.id, name });
+        this.#emitter.emit('stream', ws, name, readable);
+        return true;
+    }
+
+    /**
+     * Records the round trip time of a heartbeat from the ping timestamp echoed in a pong.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Number} timestamp Timestamp carried in the ping
+     */
+    _on_latency(ws, timestamp) {
+        const rtt = ws.latency.record(timestamp);
+        if (rtt === undefined) return;
+
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('HEARTBEAT_LATENCY', { connection_id: ws.id, rtt });
+        this.#metrics.observe('rtt_seconds', rtt / 1000);
+        this.#emitter.emit('latency', ws, rtt);
+    }
+
+    /**
+     * Handles incoming work queue control packets from websocket connections.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} event Control event
+     * @param {Object} data Queue packet
+     */
+    _on_queue_message(ws, event, data) {
+        if (data === null || typeof data !== 'object' || typeof data.queue !== 'string') return;
+        if (event === 'QUEUE_PROCESS') {
+            if (!this._authorize(ws, 'queues', data.queue)) return;
+
+            // Consumers may only work on queues created by the application
+            // Processing requests for other queues are remembered until the application creates them
+            ws.processing.set(data.queue, data.concurrency);
+            const queue = this.#queues.get(data.queue);
+            if (queue) queue._register(ws, data.concurrency);
+            return;
+        }
+
+        const queue = this.#queues.get(data.queue);
+        if (queue === undefined) return;
+        if (event === 'QUEUE_ACK') return queue._on_ack(ws, data.id, data.result);
+        queue._on_nack(ws, data.id, data.error);
+    }
+
+    /**
+     * Handles incoming topic publishes from websocket connections and relays them to subscribers.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} topic
+     * @param {*} data
+     */
+    _on_topic_message(ws, topic, data) {
+        if (typeof topic !== 'string' || topic.length == 0) return;
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('CONNECTION_PUBLISH', { connection_id: ws.id, topic });
 
-        // Emit 'message' event on Provider emitter
-        this.#emitter.emit('message', ws, message);
+        // Emit 'publish' event on Provider emitter and relay to other subscribers
+        this.#emitter.emit('publish', ws, topic, data);
+        this.publish(topic, data, ws);
+    }
+
+    /**
+     * Subscribes a connection to the provided topic patterns.
+     * Exact topics are bound to uWS topics while wildcard patterns are matched on publish.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Array} patterns
+     */
+    _subscribe(ws, patterns) {
+        if (!Array.isArray(patterns)) return;
+        patterns = patterns.filter(
+            (pattern) => typeof pattern == 'string' && this._authorize(ws, 'subscribe', pattern)
+        );
+        if (patterns.length == 0) return;
+        patterns.forEach((pattern) => {
+            if (ws.subscriptions.includes(pattern)) return;
+            ws.subscriptions.push(pattern);
+            if (!is_wildcard_topic(pattern)) ws.subscribe(this._topic_key(ws, pattern));
+            if (this.#logger.enabled('debug'))
+                this.#logger.debug('CONNECTION_SUBSCRIBE', { connection_id: ws.id, pattern });
+        });
+
+        this.#emitter.emit('subscribe', ws, patterns);
+    }
+
+    /**
+     * Unsubscribes a connection from the provided topic patterns.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Array} patterns
+     */
+    _unsubscribe(ws, patterns) {
+        if (!Array.isArray(patterns)) return;
+        patterns.forEach((pattern) => {
+            const index = ws.subscriptions.indexOf(pattern);
+            if (index == -1) return;
+            ws.subscriptions.splice(index, 1);
+            if (!is_wildcard_topic(pattern)) ws.unsubscribe(this._topic_key(ws, pattern));
+            if (this.#logger.enabled('debug'))
+                this.#logger.debug('CONNECTION_UNSUBSCRIBE', { connection_id: ws.id, pattern });
+        });
+
+        this.#emitter.emit('unsubscribe', ws, patterns);
+    }
+
+    /**
+     * Checks whether a connection is granted an action and records a violation if it is not.
+     * Connections are closed once they reach the auth.max_violations limit.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String} category One of messages, events, publish, subscribe, rpc, queues or streams
+     * @param {String} name Event, topic, request, queue or stream name
+     * @returns {Boolean}
+     */
+    _authorize(ws, category, name) {
+        if (is_granted(ws.grants, category, name)) return true;
+
+        ws.violations++;
+        this.#logger.warn('VIOLATION', { connection_id: ws.id, ip: ws.ip, category, name });
+        this.#emitter.emit('violation', ws, category, name);
+
+        // Close connection once the violation limit is reached
+        const { max_violations } = this.#options.auth;
+        if (
+            max_violations > 0 &&
+            ws.violations >= max_violations &&
+            this.#connections[ws.id] === ws
+        ) {
+            this.#logger.warn('VIOLATION_KILL', { connection_id: ws.id, ip: ws.ip, code: 1008 });
+            ws.end(1008, 'Policy Violation');
+        }
+        return false;
+    }
+
+    /**
+     * Handles drain events from websocket connections once backpressure is being flushed.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     */
+    _on_connection_drain(ws) {
+        if (!ws.congested || ws.getBufferedAmount() > this.#options.ws.high_water_mark) return;
+        ws.congested = false;
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('CONNECTION_DRAIN', { connection_id: ws.id });
+
+        // Resume pending sends and emit 'drain' event on Provider emitter
+        const waiters = ws.drain_waiters;
+        ws.drain_waiters = [];
+        waiters.forEach(([resolve]) => resolve());
+        this.#emitter.emit('drain', ws);
+    }
+
+    /**
+     * Returns the metric label for a websocket close code.
+     * Only known codes and the close codes configured on this Provider are labelled individually.
+     *
+     * @param {Number} code
+     * @returns {Number|String}
+     */
+    _close_code_label(code) {
+        const { rate_limit, shutdown } = this.#options;
+        if (KNOWN_CLOSE_CODES.includes(code)) return code;
+        if (code === rate_limit.close_code || code === shutdown.close_code) return code;
+        return 'other';
     }
 
     _on_connection_close(ws, code, message) {
-        // Delete connection from connection pool
+        // Delete connection from connection pool and balancer
         delete this.#connections[ws.id];
-        this.#handlers.log('CONNECTION_CLOSE|' + ws.id + '|' + code + '|' + message);
+        if (--this.#ip_connections[ws.ip] <= 0) delete this.#ip_connections[ws.ip];
+        if (--this.#codec_connections[ws.codec.name] <= 0)
+            delete this.#codec_connections[ws.codec.name];
+        this.#balancer._remove(ws);
+        this.#metrics.increment('disconnects_total', 1, this._close_code_label(code));
+
+        // Discard messages delayed by rate limits
+        clearTimeout(ws.delay_timeout);
+        ws.delayed = [];
+
+        // Reject pending sends waiting for this connection to drain
+        const drain_error = new Error('Connection closed before it drained');
+        ws.drain_waiters.forEach(([resolve, reject]) => reject(drain_error));
+        ws.drain_waiters = [];
+        this.#logger.info('CONNECTION_CLOSE', {
+            connection_id: ws.id,
+            ip: ws.ip,
+            code,
+            reason: message,
+        });
+
+        // Reject any pending requests to this connection
+        this.#rpc.reject_all(ws, new Error('Connection closed before a response was received'));
+
+        // Destroy any streams in progress on this connection
+        this.#streams.destroy_all(ws, 'Connection closed before stream completed');
 
-        // Emit 'message' event on Provider emitter
+        // Requeue any jobs in flight on this connection
+        this.#queues.forEach((queue) => queue._unregister(ws));
+
+        // Suspend session so it can be resumed within the grace window
+        if (this.#sessions) this.#sessions.suspend(ws);
+
+        // Emit 'close' event on Provider emitter
         this.#emitter.emit('close', ws, code, message);
     }
 
@@ -274,25 +1340,454 @@ class Provider {
         let reference = this;
         let connections = Object.keys(this.#connections);
 
-        this.#handlers.log('HEARTBEAT_CYCLE|' + connections.length);
+        if (this.#logger.enabled('debug'))
+            this.#logger.debug('HEARTBEAT_CYCLE', { connections: connections.length });
         if (connections.length == 0) return;
 
         connections.forEach((id) => {
             let connection = reference.#connections[id];
             if (connection.alive === false) {
                 if (connection.strikes < reference.#options.heartbeat.max_strikes) {
-                    reference.#handlers.log('HEARTBEAT_STRIKE|' + id);
+                    reference.#logger.warn('HEARTBEAT_STRIKE', {
+                        connection_id: id,
+                        strikes: connection.strikes + 1,
+                    });
+                    reference.#metrics.increment('heartbeat_strikes_total');
                     reference.#connections[id].strikes++;
                 } else {
-                    reference.#handlers.log('HEARTBEAT_KILL|' + id);
+                    // Requeue jobs immediately as the close event may take a while to arrive
+                    reference.#logger.warn('HEARTBEAT_KILL', {
+                        connection_id: id,
+                        ip: connection.ip,
+                    });
+                    reference.#metrics.increment('heartbeat_kills_total');
+                    reference.#queues.forEach((queue) => queue._unregister(connection));
                     connection.end();
                 }
             } else {
-                reference.#handlers.log('HEARTBEAT_SEND|' + id);
-                reference.#connections[id].alive = false;
-                connection.send('PING');
+                if (reference.#logger.enabled('debug'))
+                    reference.#logger.debug('HEARTBEAT_SEND', { connection_id: id });
+                // Remember the outstanding ping so only its pong is accepted as a reply
+                connection.alive = false;
+                connection.ping = Date.now();
+                reference._send_envelope(connection, CHANNELS.CONTROL, 'PING', connection.ping);
+            }
+        });
+    }
+
+    /**
+     * Encodes and sends an envelope to the specified connection if it is still open.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Number} channel
+     * @param {String} event
+     * @param {*} data
+     * @returns {Boolean}
+     */
+    _send_envelope(ws, channel, event, data) {
+        if (this.#connections[ws.id] !== ws) return false;
+        const { payload, is_binary } = encode_envelope(channel, event, data, ws.codec);
+        ws.send(payload, is_binary, this._compress(payload));
+        this._count_sent(payload);
+        return true;
+    }
+
+    /**
+     * Creates an encoder which encodes an envelope at most once for each codec.
+     *
+     * @param {Number} channel
+     * @param {String} event
+     * @param {*} data
+     * @returns {Function} Example: (codec) => { payload: String|Buffer, is_binary: Boolean }
+     */
+    _encoder(channel, event, data) {
+        const encoded = {};
+        return (codec) =>
+            encoded[codec.name] ||
+            (encoded[codec.name] = encode_envelope(channel, event, data, codec));
+    }
+
+    /**
+     * Determines whether a payload should be compressed based on the compression threshold.
+     *
+     * @param {String|Buffer} payload
+     * @returns {Boolean}
+     */
+    _compress(payload) {
+        const { compressor, compression_threshold } = this.#options.ws;
+        return (
+            compressor !== HyperExpress.compressors.DISABLED &&
+            payload.length >= compression_threshold
+        );
+    }
+
+    /**
+     * Returns the uWS topic name for a topic as connections only share topics with connections using the same codec.
+     *
+     * @param {uWS.Websocket|Object} ws Websocket connection or codec
+     * @param {String} topic
+     * @returns {String}
+     */
+    _topic_key(ws, topic) {
+        return (ws.codec || ws).name + ':' + topic;
+    }
+
+    /**
+     * Delivers an encoded payload to a connection while respecting backpressure limits.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {String|Buffer} payload
+     * @param {Boolean} is_binary
+     * @returns {String} One of sent, buffered, dropped or failed
+     */
+    _deliver(ws, payload, is_binary) {
+        if (this.#connections[ws.id] !== ws) return 'failed';
+        try {
+            // Drop payload if connection backpressure has already reached the limit
+            const { max_backpressure, high_water_mark } = this.#options.ws;
+            if (ws.getBufferedAmount() >= max_backpressure) {
+                this.#metrics.increment('backpressure_drops_total');
+                return 'dropped';
+            }
+            ws.send(payload, is_binary, this._compress(payload));
+            this._count_sent(payload);
+
+            // Mark connection as congested until it drains below the high water mark
+            if (ws.getBufferedAmount() > high_water_mark) {
+                ws.congested = true;
+                return 'buffered';
+            }
+            return 'sent';
+        } catch (error) {
+            // uWS throws when accessing a connection which has already closed
+            return 'failed';
+        }
+    }
+
+    /**
+     * Determines whether a connection matches the provided broadcast filter.
+     *
+     * @param {uWS.Websocket} ws Websocket connection
+     * @param {Function|Object} filter
+     * @returns {Boolean}
+     */
+    _matches_filter(ws, filter) {
+        if (typeof filter == 'function') return filter(ws) === true;
+
+        const { parameters, ip, tags } = filter;
+        if (
+            parameters &&
+            Object.keys(parameters).some((key) => ws.parameters[key] !== parameters[key])
+        )
+            return false;
+        if (ip && !(Array.isArray(ip) ? ip.includes(ws.ip) : ws.ip === ip)) return false;
+        if (tags && !(Array.isArray(tags) ? tags : [tags]).every((tag) => ws.tags.includes(tag)))
+            return false;
+        return true;
+    }
+
+    /**
+     * Broadcasts an untyped message to all or a filtered subset of consumer connections.
+     * Delivery is throttled across event loop cycles to avoid blocking with large clusters.
+     *
+     * @param {*} message String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {Object} options Broadcast options
+     * @param {String|uWS.Websocket|Array} options.exclude Connection(s) or connection id(s) to exclude
+     * @param {Function|Object} options.filter Function or object matching connection parameters, ip and tags
+     * @param {Boolean} options.include_paused Whether paused connections should also receive the message
+     * @returns {Promise} Resolves with a delivery report { sent: Number, buffered: Number, dropped: Number, failed: Number }
+     */
+    broadcast(message, options = {}) {
+        const { exclude, filter, include_paused = false } = options;
+        const excluded = (Array.isArray(exclude) ? exclude : [exclude])
+            .filter((item) => item)
+            .map((item) => (typeof item == 'object' ? item.id : item));
+
+        // Encode payload once for each codec in use
+        const encode = this._encoder(CHANNELS.MESSAGE, null, message);
+        const report = { sent: 0, buffered: 0, dropped: 0, failed: 0 };
+        const ids = Object.keys(this.#connections);
+        return throttled_for_each(ids, this.#options.broadcast.per_eloop, (id) => {
+            const connection = this.#connections[id];
+            if (connection === undefined) return report.failed++;
+            if (excluded.includes(id)) return;
+            if (connection.paused && !include_paused) return;
+            if (filter && !this._matches_filter(connection, filter)) return;
+            const { payload, is_binary } = encode(connection.codec);
+            report[this._deliver(connection, payload, is_binary)]++;
+        }).then(() => {
+            if (this.#logger.enabled('debug')) this.#logger.debug('BROADCAST', report);
+            return report;
+        });
+    }
+
+    /**
+     * Sends a message to the specified consumer connection.
+     * Calling with two arguments sends an untyped message received through the consumer 'message' event.
+     * Messages sent to a suspended session are buffered and delivered once the consumer resumes.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {String} event Event name received through consumer 'event:name' event
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @returns {String} One of sent, buffered (congested or suspended session) or dropped
+     */
+    send(connection_id, event, data) {
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+
+        // Treat two argument calls as untyped messages
+        if (arguments.length < 3) {
+            data = event;
+            event = null;
+        } else if (typeof event !== 'string') {
+            throw new Error('send(connection_id, event, data) -> event must be a String');
+        }
+
+        const connection = this.#connections[id];
+        if (connection === undefined)
+            return this.#sessions && this.#sessions.buffer(id, [CHANNELS.MESSAGE, event, data])
+                ? 'buffered'
+                : 'dropped';
+
+        const { payload, is_binary } = encode_envelope(
+            CHANNELS.MESSAGE,
+            event,
+            data,
+            connection.codec
+        );
+        const status = this._deliver(connection, payload, is_binary);
+        return status === 'failed' ? 'dropped' : status;
+    }
+
+    /**
+     * Disconnects the specified consumer connection with a reason.
+     * The consumer reconnects according to its reconnect policy unless it is destroyed.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {String} reason Close reason received through the consumer 'disconnect' event
+     * @param {Number} code Websocket close code
+     * @returns {Boolean} Whether the connection was found
+     */
+    kick(connection_id, reason = 'Kicked', code = 4000) {
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+        const connection = this.#connections[id];
+        if (connection === undefined) return false;
+
+        this.#logger.info('CONNECTION_KICK', {
+            connection_id: id,
+            ip: connection.ip,
+            code,
+            reason,
+        });
+        connection.end(code, String(reason));
+        return true;
+    }
+
+    /**
+     * Sends a message to the specified consumer connection once it is no longer congested.
+     * Accepts the same arguments as Provider.send() and allows producers to slow down instead of dropping messages.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {String} event Event name received through consumer 'event:name' event
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @returns {Promise} Resolves with the Provider.send() status once sent
+     */
+    async send_async(connection_id, event, data) {
+        const args = arguments;
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+        const connection = this.#connections[id];
+
+        // Wait for congested connections to drain before sending
+        if (connection && connection.congested)
+            await new Promise((resolve, reject) =>
+                connection.drain_waiters.push([resolve, reject])
+            );
+        return this.send(...args);
+    }
+
+    /**
+     * Publishes data to all consumer connections subscribed to a matching topic pattern.
+     *
+     * @param {String} topic Example: 'jobs.image'
+     * @param {*} data String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {uWS.Websocket} exclude Connection to exclude from delivery
+     */
+    publish(topic, data, exclude) {
+        if (typeof topic !== 'string' || topic.length == 0)
+            throw new Error('publish(topic, data) -> topic must be a non-empty String');
+        const encode = this._encoder(CHANNELS.TOPIC, topic, data);
+
+        // Publish to exact subscribers of each codec in use through uWS topics
+        // Publishing through the excluded connection excludes it from delivery
+        Object.keys(this.#codec_connections).forEach((name) => {
+            const codec = this.#codecs[name];
+            const { payload, is_binary } = encode(codec);
+            const compress = this._compress(payload);
+            this._count_sent(payload);
+            if (exclude && exclude.codec === codec) {
+                exclude.publish(this._topic_key(codec, topic), payload, is_binary, compress);
+            } else {
+                this.#server.uws_instance.publish(
+                    this._topic_key(codec, topic),
+                    payload,
+                    is_binary,
+                    compress
+                );
             }
         });
+
+        // Deliver to wildcard subscribers which are not already subscribed to the exact topic
+        Object.keys(this.#connections).forEach((id) => {
+            const connection = this.#connections[id];
+            if (connection === exclude || connection.subscriptions.includes(topic)) return;
+            if (connection.subscriptions.some((pattern) => match_topic(pattern, topic))) {
+                const { payload, is_binary } = encode(connection.codec);
+                connection.send(payload, is_binary, this._compress(payload));
+                this._count_sent(payload);
+            }
+        });
+
+        // Buffer for suspended sessions subscribed to a matching pattern
+        if (this.#sessions) this.#sessions.buffer_topic(topic, [CHANNELS.TOPIC, topic, data]);
+    }
+
+    /**
+     * Returns the work queue with the specified name and creates it if it does not exist.
+     * Jobs pushed onto the queue are dispatched to consumers which called Consumer.process() with the same name.
+     *
+     * @param {String} name
+     * @param {Object} options Queue options which override the default queue options
+     * @returns {Queue}
+     */
+    queue(name, options) {
+        let queue = this.#queues.get(name);
+        if (queue === undefined) {
+            queue = new Queue(name, this.#options.queue, (connection, type, packet) =>
+                this._send_envelope(connection, CHANNELS.CONTROL, type, packet)
+            );
+            this.#queues.set(name, queue);
+            if (this.#shutdown) queue._suspend();
+
+            // Register connections which asked to process this queue before it was created
+            Object.keys(this.#connections).forEach((id) => {
+                const connection = this.#connections[id];
+                if (connection.processing.has(name))
+                    queue._register(connection, connection.processing.get(name));
+            });
+        }
+
+        if (options) queue._configure(options);
+        return queue;
+    }
+
+    /**
+     * Registers a request handler which consumers can call with Consumer.request().
+     *
+     * @param {String} name
+     * @param {Function} handler Example: async (payload, connection) => response
+     */
+    handle(name, handler) {
+        this.#rpc.handle(name, handler);
+    }
+
+    /**
+     * Sends a request to the specified consumer connection and resolves with its response.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {String} name
+     * @param {*} payload JSON serializable payload
+     * @param {Object} options
+     * @param {Number} options.timeout Time in milliseconds to wait for a response
+     * @returns {Promise}
+     */
+    request(connection_id, name, payload, options = {}) {
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+        const connection = this.#connections[id];
+        if (connection === undefined)
+            return Promise.reject(new Error('request() -> No connection found with id ' + id));
+
+        // Track request as in flight on connection until it is settled
+        const { timeout = this.#options.rpc.timeout } = options;
+        const promise = this.#rpc.request(connection, name, payload, timeout);
+        const settle = () => connection.in_flight--;
+        connection.in_flight++;
+        promise.then(settle, settle);
+        return promise;
+    }
+
+    /**
+     * Opens a chunked stream to the specified consumer connection which is received through the consumer 'stream' event.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {String} name Stream name
+     * @returns {Writable}
+     */
+    stream(connection_id, name) {
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+        const connection = this.#connections[id];
+        if (connection === undefined)
+            throw new Error('stream() -> No connection found with id ' + id);
+        return this.#streams.create(connection, name);
+    }
+
+    /**
+     * Selects a consumer connection using the specified load balancing strategy.
+     *
+     * @param {String|Function} strategy One of round_robin, least_in_flight, least_latency, random, weighted, consistent_hash or a custom function
+     * @param {String} key Key used by consistent_hash strategy
+     * @returns {uWS.Websocket|undefined} Selected connection or undefined if none are connected
+     */
+    pick(strategy, key) {
+        return this.#balancer.pick(strategy, key);
+    }
+
+    /**
+     * Sends an untyped message to a consumer connection selected using the specified load balancing strategy.
+     *
+     * @param {*} message String, JSON serializable value or Buffer/ArrayBuffer
+     * @param {String|Function} strategy See Provider.pick()
+     * @param {String} key Key used by consistent_hash strategy
+     * @returns {uWS.Websocket|undefined} Connection which received the message or undefined if none are connected
+     */
+    send_to_any(message, strategy, key) {
+        const connection = this.#balancer.pick(strategy, key);
+        if (connection && this._send_envelope(connection, CHANNELS.MESSAGE, null, message))
+            return connection;
+    }
+
+    /**
+     * Replaces the grants of a consumer connection at runtime.
+     * Topic subscriptions which are no longer granted are revoked.
+     *
+     * @param {String|uWS.Websocket} connection_id Connection id or connection
+     * @param {Boolean|Object} grants Grants object or true for unrestricted access
+     * @returns {Boolean} Returns true if connection was found
+     */
+    set_grants(connection_id, grants) {
+        const id = typeof connection_id == 'object' ? connection_id.id : connection_id;
+        const connection = this.#connections[id];
+        if (connection === undefined) return false;
+
+        connection.grants = normalize_grants(grants);
+        connection.rate_limiter = this._create_rate_limiter(connection.grants);
+        const revoked = connection.subscriptions.filter(
+            (pattern) => !is_granted(connection.grants, 'subscribe', pattern)
+        );
+        if (revoked.length > 0) this._unsubscribe(connection, revoked);
+        return true;
+    }
+
+    /**
+     * Replaces the active token authentication keys.
+     * Provide both the old and new keys while consumers migrate to rotate keys without downtime.
+     *
+     * @param {Object} keys Active shared keys represented by their key id. Example: { 'key-1': 'secret' }
+     */
+    set_auth_keys(keys) {
+        if (this.#authenticator === undefined)
+            throw new Error(
+                'set_auth_keys(keys) -> auth.token.keys must be provided to enable token authentication'
+            );
+        this.#authenticator.set_keys(keys);
     }
 
     /**
@@ -306,15 +1801,83 @@ class Provider {
         this.#handlers.error = handler;
     }
 
+    /**
+     * Sets a logger which receives structured log records at or above logging.level for Provider instance.
+     * Records are of the format { time: Number, level: String, event: String, ...fields }.
+     *
+     * @param {Function} handler Example: (record) => {}
+     */
+    set_logger(handler) {
+        if (typeof handler !== 'function')
+            throw new Error('set_logger(handler) -> handler must be a Function');
+        this.#logger.set_handler(handler);
+    }
+
     /**
      * Sets debug logger for Provider instance.
+     * Receives log records of all levels formatted as pipe delimited strings. Example: 'CONNECTION_CLOSE|id|1000'
      *
-     * @param {Function} handler
+     * @param {Function} handler Example: (message) => {}
      */
     set_debug_logger(handler) {
         if (typeof handler !== 'function')
             throw new Error('set_debug_logger(handler) -> handler must be a Function');
-        this.#handlers.log = handler;
+        this.#logger.set_handler((record) => handler(Logger.format(record)), 'debug');
+    }
+
+    /**
+     * Returns the metrics collected by this Provider which are also exposed in the Prometheus text format
+     * on the metrics route when enabled.
+     *
+     * @returns {Object}
+     */
+    stats() {
+        return this.#metrics.snapshot();
+    }
+
+    /**
+     * Registers a custom health check which must pass for the Provider to be ready.
+     * Registering a check with an existing name replaces it.
+     *
+     * @param {String} name
+     * @param {Function} handler Example: async () => Boolean
+     */
+    health_check(name, handler) {
+        if (typeof name !== 'string' || BUILTIN_HEALTH_CHECKS.includes(name))
+            throw new Error(
+                'health_check(name, handler) -> name must be a String other than ' +
+                    BUILTIN_HEALTH_CHECKS.join(', ')
+            );
+        if (typeof handler !== 'function')
+            throw new Error('health_check(name, handler) -> handler must be a Function');
+        this.#health_checks[name] = handler;
+    }
+
+    /**
+     * Runs all health checks and reports whether this Provider is ready to receive consumers.
+     * Readiness fails until the server is listening, while shutting down, when fewer than
+     * health.min_consumers consumers are connected or when any custom health check fails.
+     *
+     * @returns {Promise} Promise(Object: { status: String, checks: Object })
+     */
+    async health() {
+        const { min_consumers, timeout } = this.#options.health;
+        const connected = Object.keys(this.#connections).length;
+        const checks = {
+            listening: { ok: this.#listening },
+            shutdown: { ok: this.#shutdown === undefined },
+            consumers: { ok: connected >= min_consumers, connected, minimum: min_consumers },
+        };
+
+        // Run custom health checks concurrently
+        const names = Object.keys(this.#health_checks);
+        const results = await Promise.all(
+            names.map((name) => this._run_health_check(this.#health_checks[name], timeout))
+        );
+        names.forEach((name, index) => (checks[name] = results[index]));
+
+        const ready = Object.keys(checks).every((name) => checks[name].ok);
+        return { status: ready ? 'ready' : 'not_ready', checks };
     }
 
     /**
@@ -327,6 +1890,79 @@ class Provider {
         this.#emitter.on(event, handler);
     }
 
+    /**
+     * Gracefully shuts down Provider instance.
+     * New connections are refused and consumers are notified with a going away notice so they can fail over.
+     * Outbound requests, queue jobs and streams in flight are given until the timeout to finish before
+     * all connections are closed and the Provider is destroyed.
+     *
+     * @param {Object} options
+     * @param {Number} options.timeout Maximum time in milliseconds to wait for work in flight to finish
+     * @param {Number} options.close_code Websocket close code sent to consumers
+     * @param {Number} options.retry_after Time in milliseconds consumers should wait before reconnecting to this Provider
+     * @returns {Promise} Resolves with true if all work finished before the timeout or false otherwise
+     */
+    shutdown(options = {}) {
+        if (options === null || typeof options !== 'object')
+            throw new Error('shutdown(options) -> options must be an object.');
+        if (this.#shutdown) return this.#shutdown;
+
+        const {
+            timeout = this.#options.shutdown.timeout,
+            close_code = this.#options.shutdown.close_code,
+            retry_after = this.#options.shutdown.retry_after,
+        } = options;
+
+        // Stop dispatching jobs and notify consumers that this Provider is going away
+        this.#logger.info('SHUTDOWN', {
+            connections: Object.keys(this.#connections).length,
+            timeout,
+        });
+        this.#queues.forEach((queue) => queue._suspend());
+        Object.keys(this.#connections).forEach((id) =>
+            this._send_envelope(this.#connections[id], CHANNELS.CONTROL, 'GOING_AWAY', {
+                retry_after,
+                timeout,
+            })
+        );
+        this.#emitter.emit('shutdown', timeout);
+
+        this.#shutdown = this._drain(timeout).then((drained) => {
+            // Close remaining connections with the shutdown close code before destroying
+            this.#logger.info('SHUTDOWN_CLOSE', { drained });
+            Object.keys(this.#connections).forEach((id) =>
+                this.#connections[id].end(close_code, 'Provider shutting down')
+            );
+            this.destroy();
+            return drained;
+        });
+        return this.#shutdown;
+    }
+
+    /**
+     * Waits until no outbound requests, inbound requests, queue jobs or streams are in flight.
+     *
+     * @param {Number} timeout Maximum time in milliseconds to wait
+     * @returns {Promise} Resolves with true if drained before the timeout or false otherwise
+     */
+    _drain(timeout) {
+        const deadline = Date.now() + timeout;
+        return new Promise((resolve) => {
+            const check = () => {
+                const busy =
+                    this.#rpc.active > 0 ||
+                    this.#streams.active > 0 ||
+                    Object.keys(this.#connections).some(
+                        (id) => this.#connections[id].in_flight > 0
+                    );
+                if (!busy) return resolve(true);
+                if (Date.now() >= deadline) return resolve(false);
+                setTimeout(check, 25);
+            };
+            check();
+        });
+    }
+
     /**
      * Destroys Provider instance and disconnects all connected workers.
      */
@@ -334,12 +1970,18 @@ class Provider {
         // Close all active connections
         Object.keys(this.#connections).forEach((id) => this.#connections[id].end());
 
-        // Destroy HyperExpress Webserver
+        // Destroy HyperExpress Webserver and TLSProxy
+        this.#listening = false;
         this.#server.close();
+        if (this.#tls_proxy) this.#tls_proxy.close();
 
         // Destroy heartbeat interval
         clearInterval(this.#heartbeat_interval);
 
+        // Destroy work queues and suspended sessions
+        this.#queues.forEach((queue) => queue.destroy());
+        if (this.#sessions) this.#sessions.destroy();
+
         // Destroy Event Emitter
         this.#emitter.removeAllListeners();
     }
@@ -349,6 +1991,10 @@ class Provider {
         return this.#connections;
     }
 
+    get queues() {
+        return Object.fromEntries(this.#queues);
+    }
+
     get port() {
         return this.#options.port;
     }
@@ -364,6 +2010,10 @@ class Provider {
     get server() {
         return this.#server;
     }
+
+    get shutting_down() {
+        return this.#shutdown !== undefined;
+    }
 }
 
 module.exports = Provider;
@@ -0,0 +1,343 @@
+const EventEmitter = require('events');
+const { wrap_object } = require('../shared/operators.js');
+
+class Queue {
+    #name;
+    #send;
+    #cursor = 0;
+    #suspended = false;
+    #pending = [];
+    #delayed = {};
+    #in_flight = {};
+    #workers = {};
+    #emitter = new EventEmitter();
+    #counters = {
+        completed: 0,
+        failed: 0,
+    };
+
+    #options = {
+        max_attempts: 3,
+        visibility_timeout: 30 * 1000,
+        backoff: {
+            delay: 1000,
+            factor: 2,
+            max_delay: 30 * 1000,
+        },
+    };
+
+    /**
+     * Creates a new NetworkCluster.Queue instance which dispatches jobs to consumer connections.
+     *
+     * @param {String} name Queue name
+     * @param {Object} options Queue Options
+     * @param {Number} options.max_attempts Maximum number of attempts before a job is marked as failed
+     * @param {Number} options.visibility_timeout Time in milliseconds a consumer has to acknowledge a job before it is retried
+     * @param {Object} options.backoff Retry backoff policy options
+     * @param {Number} options.backoff.delay Time in milliseconds to wait before the first retry
+     * @param {Number} options.backoff.factor Multiplier applied to the delay for each subsequent retry
+     * @param {Number} options.backoff.max_delay Maximum time in milliseconds to wait before a retry
+     * @param {Function} send Transport handler for outgoing packets. Example: (connection, type, packet) => Boolean
+     */
+    constructor(name, options = this.#options, send) {
+        if (typeof name !== 'string' || name.length == 0)
+            throw new Error('new Queue(name) -> name must be a non-empty String');
+        if (typeof send !== 'function')
+            throw new Error('new Queue(send) -> send must be a Function');
+
+        this.#name = name;
+        this.#send = send;
+        this._configure(options);
+    }
+
+    /**
+     * Wraps provided options over current queue options.
+     *
+     * @param {Object} options
+     */
+    _configure(options) {
+        if (options === null || typeof options !== 'object')
+            throw new Error('queue(name, options) -> options must be an object.');
+        wrap_object(this.#options, options);
+    }
+
+    /**
+     * Pushes a job onto the queue and dispatches it once a consumer is available.
+     *
+     * @param {*} data JSON serializable job data
+     * @returns {String} Job id
+     */
+    push(data) {
+        // Reject data which can not be encoded as it would otherwise be lost once dispatched
+        try {
+            JSON.stringify(data);
+        } catch (error) {
+            throw new Error('push(data) -> data must be JSON serializable: ' + error.message);
+        }
+
+        const job = {
+            id: this.#name + ':' + ++this.#cursor,
+            data,
+            attempts: 0,
+        };
+
+        this.#pending.push(job);
+        this._dispatch();
+        return job.id;
+    }
+
+    /**
+     * Registers a consumer connection as a worker for this queue.
+     *
+     * @param {uWS.Websocket} connection
+     * @param {Number} concurrency Maximum number of jobs to dispatch to this connection at once
+     */
+    _register(connection, concurrency) {
+        const worker = this.#workers[connection.id];
+        concurrency = Math.max(1, Math.floor(+concurrency) || 1);
+        if (worker) {
+            worker.concurrency = concurrency;
+        } else {
+            this.#workers[connection.id] = { connection, concurrency, active: 0 };
+        }
+
+        this._dispatch();
+    }
+
+    /**
+     * Unregisters a consumer connection and requeues all of its in flight jobs.
+     *
+     * @param {uWS.Websocket} connection
+     */
+    _unregister(connection) {
+        if (this.#workers[connection.id] === undefined) return;
+        delete this.#workers[connection.id];
+
+        // Requeue in flight jobs at the front of the queue
+        // The attempt still counts as processing a job may be what disconnected the consumer
+        const { max_attempts } = this.#options;
+        const requeued = [];
+        let failed = 0;
+        Object.keys(this.#in_flight)
+            .map((id) => this.#in_flight[id])
+            .filter((entry) => entry.connection === connection)
+            .forEach(({ job, timeout }) => {
+                clearTimeout(timeout);
+                delete this.#in_flight[job.id];
+                connection.in_flight--;
+                if (job.attempts < max_attempts) return requeued.push(job);
+
+                failed++;
+                this.#counters.failed++;
+                this.#emitter.emit(
+                    'failed',
+                    job,
+                    new Error('Consumer disconnected before acknowledging job')
+                );
+            });
+        this.#pending.unshift(...requeued);
+
+        this._dispatch();
+        if (failed > 0) this._check_drained();
+    }
+
+    /**
+     * Dispatches pending jobs to workers with available capacity.
+     */
+    _dispatch() {
+        while (!this.#suspended && this.#pending.length > 0) {
+            // Find the worker with the least number of active jobs relative to its capacity
+            let worker;
+            Object.keys(this.#workers).forEach((id) => {
+                const candidate = this.#workers[id];
+                if (candidate.connection.paused) return;
+                if (candidate.active >= candidate.concurrency) return;
+                if (
+                    worker === undefined ||
+                    candidate.active / candidate.concurrency < worker.active / worker.concurrency
+                )
+                    worker = candidate;
+            });
+            if (worker === undefined) return;
+
+            const job = this.#pending.shift();
+            job.attempts++;
+            let sent;
+            try {
+                sent = this.#send(worker.connection, 'QUEUE_JOB', {
+                    queue: this.#name,
+                    id: job.id,
+                    data: job.data,
+                    attempt: job.attempts,
+                });
+            } catch (error) {
+                // Keep jobs which could not be encoded at the front instead of losing them
+                job.attempts--;
+                this.#pending.unshift(job);
+                return;
+            }
+
+            // Unregister workers which can no longer be reached
+            if (sent === false) {
+                job.attempts--;
+                this.#pending.unshift(job);
+                this._unregister(worker.connection);
+                continue;
+            }
+
+            worker.active++;
+            worker.connection.in_flight++;
+            this.#in_flight[job.id] = {
+                job,
+                connection: worker.connection,
+                timeout: setTimeout(
+                    () => this._on_nack(worker.connection, job.id, 'Visibility timeout expired'),
+                    this.#options.visibility_timeout
+                ),
+            };
+        }
+    }
+
+    /**
+     * Stops dispatching jobs to workers while jobs in flight can still be acknowledged.
+     */
+    _suspend() {
+        this.#suspended = true;
+    }
+
+    /**
+     * Returns whether a job is in flight on the provided connection.
+     *
+     * @param {uWS.Websocket} connection
+     * @param {String} id
+     * @returns {Boolean}
+     */
+    _is_in_flight(connection, id) {
+        const entry = this.#in_flight[id];
+        return entry !== undefined && entry.connection === connection;
+    }
+
+    /**
+     * Removes a job from in flight state if it is owned by the provided connection.
+     *
+     * @param {uWS.Websocket} connection
+     * @param {String} id
+     * @returns {Object|undefined} Job
+     */
+    _release(connection, id) {
+        const entry = this.#in_flight[id];
+        if (entry === undefined || entry.connection !== connection) return;
+
+        clearTimeout(entry.timeout);
+        delete this.#in_flight[id];
+        connection.in_flight--;
+
+        const worker = this.#workers[connection.id];
+        if (worker) worker.active--;
+        return entry.job;
+    }
+
+    /**
+     * Handles an acknowledgement of a completed job.
+     *
+     * @param {uWS.Websocket} connection
+     * @param {String} id
+     * @param {*} result
+     */
+    _on_ack(connection, id, result) {
+        const job = this._release(connection, id);
+        if (job === undefined) return;
+
+        this.#counters.completed++;
+        this.#emitter.emit('completed', job, result);
+        this._dispatch();
+        this._check_drained();
+    }
+
+    /**
+     * Handles a negative acknowledgement of a job and schedules a retry with backoff if attempts remain.
+     *
+     * @param {uWS.Websocket} connection
+     * @param {String} id
+     * @param {String} reason
+     */
+    _on_nack(connection, id, reason) {
+        const job = this._release(connection, id);
+        if (job === undefined) return;
+
+        const { max_attempts, backoff } = this.#options;
+        if (job.attempts >= max_attempts) {
+            this.#counters.failed++;
+            this.#emitter.emit('failed', job, new Error(reason));
+            this._dispatch();
+            return this._check_drained();
+        }
+
+        // Schedule retry with exponential backoff
+        const delay = Math.min(
+            backoff.delay * Math.pow(backoff.factor, job.attempts - 1),
+            backoff.max_delay
+        );
+        this.#delayed[job.id] = setTimeout(() => {
+            delete this.#delayed[job.id];
+            this.#pending.push(job);
+            this._dispatch();
+        }, delay);
+        this._dispatch();
+    }
+
+    /**
+     * Emits 'drained' event if there are no pending, delayed or in flight jobs remaining.
+     */
+    _check_drained() {
+        if (
+            this.#pending.length == 0 &&
+            Object.keys(this.#delayed).length == 0 &&
+            Object.keys(this.#in_flight).length == 0
+        )
+            this.#emitter.emit('drained');
+    }
+
+    /**
+     * Alias of Queue.emitter.on method.
+     *
+     * @param {String} event
+     * @param {Function} handler
+     */
+    on(event, handler) {
+        this.#emitter.on(event, handler);
+    }
+
+    /**
+     * Destroys Queue instance and cleans up all pending timers.
+     */
+    destroy() {
+        Object.keys(this.#delayed).forEach((id) => clearTimeout(this.#delayed[id]));
+        Object.keys(this.#in_flight).forEach((id) => clearTimeout(this.#in_flight[id].timeout));
+        this.#pending = [];
+        this.#delayed = {};
+        this.#in_flight = {};
+        this.#workers = {};
+        this.#emitter.removeAllListeners();
+    }
+
+    /* Queue Getters */
+    get name() {
+        return this.#name;
+    }
+
+    get events() {
+        return this.#emitter;
+    }
+
+    get stats() {
+        return {
+            pending: this.#pending.length + Object.keys(this.#delayed).length,
+            in_flight: Object.keys(this.#in_flight).length,
+            failed: this.#counters.failed,
+            completed: this.#counters.completed,
+        };
+    }
+}
+
+module.exports = Queue;
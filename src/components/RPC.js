@@ -0,0 +1,204 @@
+class RPC {
+    #cursor = 0;
+    #active = 0;
+    #pending = new Map();
+    #handlers = new Map();
+    #send;
+
+    /**
+     * Creates a new RPC instance which manages request handlers and pending requests.
+     *
+     * @param {Function} send Transport handler for outgoing packets. Example: (owner, type, packet) => Boolean
+     */
+    constructor(send) {
+        if (typeof send !== 'function') throw new Error('new RPC(send) -> send must be a Function');
+        this.#send = send;
+    }
+
+    /**
+     * Registers a handler for incoming requests with the specified name.
+     *
+     * @param {String} name
+     * @param {Function} handler Example: async (payload, owner) => response
+     */
+    handle(name, handler) {
+        if (typeof name !== 'string')
+            throw new Error('handle(name, handler) -> name must be a String');
+        if (typeof handler !== 'function')
+            throw new Error('handle(name, handler) -> handler must be a Function');
+        this.#handlers.set(name, handler);
+    }
+
+    /**
+     * Sends a request to the specified owner and returns a Promise which resolves with the response.
+     *
+     * @param {*} owner Owner of the request used for routing and cleanup
+     * @param {String} name
+     * @param {*} payload JSON serializable payload
+     * @param {Number} timeout Time in milliseconds to wait for a response before rejecting
+     * @returns {Promise}
+     */
+    request(owner, name, payload, timeout) {
+        let reference = this;
+        return new Promise((resolve, reject) => {
+            if (typeof name !== 'string')
+                return reject(new Error('request(name, payload) -> name must be a String'));
+
+            // Store pending request before sending to ensure fast responses are matched
+            const id = ++reference.#cursor;
+            const pending = { owner, resolve, reject };
+            reference.#pending.set(id, pending);
+
+            // Reject request if it could not be sent through transport
+            const sent = reference.#send(owner, 'RPC_REQUEST', { id, name, payload });
+            if (sent === false) {
+                reference.#pending.delete(id);
+                return reject(new Error('Failed to send request as connection is not open'));
+            }
+
+            // Bind timeout to reject request if no response is received in time
+            if (timeout > 0 && timeout < Infinity)
+                pending.timeout = setTimeout(
+                    () =>
+                        reference._settle(
+                            id,
+                            new Error(`Request "${name}" timed out after ${timeout}ms`)
+                        ),
+                    timeout
+                );
+        });
+    }
+
+    /**
+     * Settles a pending request with either an error or a result.
+     *
+     * @param {Number} id
+     * @param {Error} error
+     * @param {*} result
+     * @param {*} owner Only settles the request if it belongs to this owner when provided
+     */
+    _settle(id, error, result, owner) {
+        const pending = this.#pending.get(id);
+        if (pending === undefined || (owner !== undefined && pending.owner !== owner)) return;
+
+        this.#pending.delete(id);
+        clearTimeout(pending.timeout);
+        if (error) return pending.reject(error);
+        pending.resolve(result);
+    }
+
+    /**
+     * Returns whether a request with the specified id is pending a response from the owner.
+     *
+     * @param {*} owner
+     * @param {Number} id
+     * @returns {Boolean}
+     */
+    _is_pending(owner, id) {
+        const pending = this.#pending.get(id);
+        return pending !== undefined && pending.owner === owner;
+    }
+
+    /**
+     * Handles an incoming request packet by executing the appropriate handler and replying with its result.
+     *
+     * @param {*} owner
+     * @param {Object} packet Request packet
+     */
+    async _on_request(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+
+        const { id, name, payload } = packet;
+        const response = { id };
+        this.#active++;
+        try {
+            const handler = this.#handlers.get(name);
+            if (handler === undefined)
+                throw new Error(`No handler registered for request "${name}"`);
+            response.result = await handler(payload, owner);
+        } catch (error) {
+            response.error = this._serialize_error(error);
+        } finally {
+            this.#active--;
+        }
+
+        // Reply with the encoding error if the result can not be encoded so the caller does not time out
+        try {
+            this.#send(owner, 'RPC_RESPONSE', response);
+        } catch (error) {
+            this.#send(owner, 'RPC_RESPONSE', { id, error: this._serialize_error(error) });
+        }
+    }
+
+    /**
+     * Replies to an incoming request packet with an error without executing its handler.
+     *
+     * @param {*} owner
+     * @param {Object} packet Request packet
+     * @param {Error} error
+     */
+    _reject_request(owner, packet, error) {
+        if (packet === null || typeof packet !== 'object') return;
+        this.#send(owner, 'RPC_RESPONSE', { id: packet.id, error: this._serialize_error(error) });
+    }
+
+    /**
+     * Converts an error into a JSON serializable object.
+     *
+     * @param {Error} error
+     * @returns {Object} { name: String, message: String, code: * }
+     */
+    _serialize_error(error) {
+        return {
+            name: error && error.name,
+            message: error && error.message !== undefined ? error.message : String(error),
+            code: error && error.code,
+        };
+    }
+
+    /**
+     * Handles an incoming response packet by settling the matching pending request.
+     * Responses are ignored unless they come from the owner the request was sent to.
+     *
+     * @param {*} owner
+     * @param {Object} packet Response packet
+     */
+    _on_response(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+
+        // Convert remote error into a local Error instance
+        const { id, error, result } = packet;
+        if (error) {
+            const remote_error = new Error(error.message);
+            if (error.name) remote_error.name = error.name;
+            if (error.code !== undefined) remote_error.code = error.code;
+            remote_error.remote = true;
+            return this._settle(id, remote_error, undefined, owner);
+        }
+
+        this._settle(id, null, result, owner);
+    }
+
+    /**
+     * Rejects all pending requests which belong to the specified owner.
+     *
+     * @param {*} owner
+     * @param {Error} error
+     */
+    reject_all(owner, error) {
+        this.#pending.forEach((pending, id) => {
+            if (pending.owner === owner) this._settle(id, error);
+        });
+    }
+
+    /* RPC Getters */
+    get pending() {
+        return this.#pending.size;
+    }
+
+    get active() {
+        return this.#active;
+    }
+}
+
+module.exports = RPC;
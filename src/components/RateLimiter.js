@@ -0,0 +1,112 @@
+const { wrap_object } = require('../shared/operators.js');
+
+class RateLimiter {
+    #buckets = {};
+    #options = {
+        messages: 0,
+        bytes: 0,
+        burst: 1,
+        action: 'drop',
+        close_code: 4029,
+        max_delayed: 1000,
+    };
+
+    /**
+     * Creates a new RateLimiter instance which limits inbound traffic of a connection with token buckets.
+     *
+     * @param {Object} options RateLimiter Options
+     * @param {Number} options.messages Messages allowed per second. 0 disables the limit
+     * @param {Number} options.bytes Bytes allowed per second. 0 disables the limit
+     * @param {Number} options.burst Bucket capacity in seconds worth of tokens
+     * @param {String} options.action Action on violation. One of drop, delay or disconnect
+     * @param {Number} options.close_code Websocket close code used by the disconnect action
+     * @param {Number} options.max_delayed Maximum number of delayed messages before further messages are dropped
+     */
+    constructor(options = this.#options) {
+        wrap_object(this.#options, options);
+        if (!['drop', 'delay', 'disconnect'].includes(this.#options.action))
+            throw new Error('new RateLimiter() -> Unknown action ' + this.#options.action);
+
+        // Buckets start full to allow an initial burst
+        const { burst } = this.#options;
+        ['messages', 'bytes'].forEach((limit) => {
+            const rate = +this.#options[limit];
+            if (rate > 0)
+                this.#buckets[limit] = {
+                    rate,
+                    capacity: rate * burst,
+                    tokens: rate * burst,
+                    updated: Date.now(),
+                };
+        });
+    }
+
+    /**
+     * Refills a bucket based on the time elapsed since it was last updated.
+     *
+     * @param {Object} bucket
+     */
+    _refill(bucket) {
+        const now = Date.now();
+        bucket.tokens = Math.min(
+            bucket.capacity,
+            bucket.tokens + ((now - bucket.updated) / 1000) * bucket.rate
+        );
+        bucket.updated = now;
+    }
+
+    /**
+     * Returns the costs of a message for each limit.
+     *
+     * @param {Number} bytes
+     * @returns {Object}
+     */
+    _costs(bytes) {
+        return { messages: 1, bytes };
+    }
+
+    /**
+     * Consumes tokens for a message if all limits have sufficient tokens.
+     *
+     * @param {Number} bytes Message size in bytes
+     * @returns {String|undefined} Name of the exceeded limit or undefined if the message is allowed
+     */
+    consume(bytes) {
+        const costs = this._costs(bytes);
+        const limits = Object.keys(this.#buckets);
+        limits.forEach((limit) => this._refill(this.#buckets[limit]));
+
+        const exceeded = limits.find((limit) => this.#buckets[limit].tokens < costs[limit]);
+        if (exceeded) return exceeded;
+
+        limits.forEach((limit) => (this.#buckets[limit].tokens -= costs[limit]));
+    }
+
+    /**
+     * Returns the time in milliseconds until a message of the provided size would be allowed.
+     *
+     * @param {Number} bytes Message size in bytes
+     * @returns {Number} Infinity if the message exceeds a bucket capacity
+     */
+    wait_time(bytes) {
+        const costs = this._costs(bytes);
+        return Object.keys(this.#buckets).reduce((wait, limit) => {
+            const bucket = this.#buckets[limit];
+            if (costs[limit] > bucket.capacity) return Infinity;
+            this._refill(bucket);
+            const missing = Math.max(0, costs[limit] - bucket.tokens);
+            return Math.max(wait, Math.ceil((missing / bucket.rate) * 1000));
+        }, 0);
+    }
+
+    /* RateLimiter Getters */
+    get enabled() {
+        return Object.keys(this.#buckets).length > 0;
+    }
+
+    get options() {
+        return this.#options;
+    }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,177 @@
+const crypto = require('crypto');
+const { wrap_object, match_topic } = require('../shared/operators.js');
+
+class Sessions {
+    #sessions = {};
+    #tokens = {};
+    #on_expire;
+    #options = {
+        grace: 30 * 1000,
+        max_buffered: 1000,
+    };
+
+    /**
+     * Creates a new Sessions instance which allows reconnecting consumers to resume their previous identity.
+     *
+     * @param {Object} options Sessions Options
+     * @param {Number} options.grace Time in milliseconds a disconnected session can be resumed within
+     * @param {Number} options.max_buffered Maximum number of messages buffered for a disconnected session
+     * @param {Function} on_expire Handler called when a disconnected session expires. Example: (id) => {}
+     */
+    constructor(options = this.#options, on_expire = () => {}) {
+        wrap_object(this.#options, options);
+        this.#on_expire = on_expire;
+    }
+
+    /**
+     * Issues a new session token for an opened connection.
+     * Envelopes buffered while a resumed session was disconnected are returned for delivery.
+     *
+     * @param {uWS.Websocket} connection
+     * @returns {Object} { token: String, buffered: Array } where buffered holds [channel, event, data] envelopes
+     */
+    issue(connection) {
+        // Rotate token of any previous session with the same id
+        const previous = this.#sessions[connection.id];
+        if (previous) {
+            clearTimeout(previous.timeout);
+            delete this.#tokens[previous.token];
+        }
+
+        const token = crypto.randomBytes(24).toString('hex');
+        this.#tokens[token] = connection.id;
+        this.#sessions[connection.id] = {
+            id: connection.id,
+            token,
+            connection,
+            claimed: false,
+            state: null,
+            buffered: [],
+        };
+
+        return { token, buffered: previous ? previous.buffered : [] };
+    }
+
+    /**
+     * Suspends the session of a closed connection until it is resumed or the grace window expires.
+     *
+     * @param {uWS.Websocket} connection
+     */
+    suspend(connection) {
+        const session = this.#sessions[connection.id];
+        if (session === undefined || session.connection !== connection) return;
+
+        // Store connection state to restore once session is resumed
+        const { parameters, tags, subscriptions } = connection;
+        session.connection = null;
+        session.state = { parameters, tags, subscriptions };
+        session.expires_at = Date.now() + this.#options.grace;
+        session.timeout = setTimeout(() => this._expire(session.id), this.#options.grace);
+    }
+
+    /**
+     * Expires a disconnected session which was not resumed within the grace window.
+     *
+     * @param {String} id
+     */
+    _expire(id) {
+        const session = this.#sessions[id];
+        if (session === undefined || session.connection !== null) return;
+
+        delete this.#tokens[session.token];
+        delete this.#sessions[id];
+        this.#on_expire(id);
+    }
+
+    /**
+     * Claims a suspended session with the provided token for a resuming connection.
+     *
+     * @param {String} token
+     * @returns {Object|undefined} { id: String, state: Object } or undefined if token is not resumable
+     */
+    claim(token) {
+        if (typeof token !== 'string') return;
+        const session = this.#sessions[this.#tokens[token]];
+        if (session === undefined || session.connection !== null || session.claimed) return;
+
+        // Claimed sessions do not expire while the resuming connection is being upgraded
+        session.claimed = true;
+        clearTimeout(session.timeout);
+        return { id: session.id, state: session.state };
+    }
+
+    /**
+     * Releases the claim on a session whose resuming connection never opened.
+     * The session can be resumed again until the remainder of its grace window expires.
+     *
+     * @param {String} id
+     */
+    release(id) {
+        const session = this.#sessions[id];
+        if (session === undefined || session.connection !== null || !session.claimed) return;
+
+        session.claimed = false;
+        session.timeout = setTimeout(
+            () => this._expire(id),
+            Math.max(session.expires_at - Date.now(), 0)
+        );
+    }
+
+    /**
+     * Pushes an envelope into the buffer of a disconnected session.
+     * Envelopes are buffered unencoded as the resuming connection may negotiate a different codec.
+     *
+     * @param {Object} session
+     * @param {Array} envelope [channel, event, data]
+     */
+    _push(session, envelope) {
+        if (session.buffered.length >= this.#options.max_buffered) session.buffered.shift();
+        session.buffered.push(envelope);
+    }
+
+    /**
+     * Buffers an envelope for a disconnected session with the specified id.
+     *
+     * @param {String} id
+     * @param {Array} envelope [channel, event, data]
+     * @returns {Boolean} Returns true if envelope was buffered
+     */
+    buffer(id, envelope) {
+        const session = this.#sessions[id];
+        if (session === undefined || session.connection !== null) return false;
+
+        this._push(session, envelope);
+        return true;
+    }
+
+    /**
+     * Buffers a topic envelope for all disconnected sessions subscribed to a matching pattern.
+     *
+     * @param {String} topic
+     * @param {Array} envelope [channel, event, data]
+     */
+    buffer_topic(topic, envelope) {
+        Object.keys(this.#sessions).forEach((id) => {
+            const session = this.#sessions[id];
+            if (session.connection !== null) return;
+            if (session.state.subscriptions.some((pattern) => match_topic(pattern, topic)))
+                this._push(session, envelope);
+        });
+    }
+
+    /**
+     * Destroys all sessions and their expiry timers.
+     */
+    destroy() {
+        Object.keys(this.#sessions).forEach((id) => clearTimeout(this.#sessions[id].timeout));
+        this.#sessions = {};
+        this.#tokens = {};
+    }
+
+    /* Sessions Getters */
+    get suspended() {
+        return Object.keys(this.#sessions).filter((id) => this.#sessions[id].connection === null);
+    }
+}
+
+module.exports = Sessions;
@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const { Readable, Writable } = require('stream');
+const { wrap_object } = require('../shared/operators.js');
+const { CHANNELS } = require('../shared/envelope.js');
+
+/**
+ * Control packets used by streams:
+ * STREAM_OPEN, STREAM_END and STREAM_ABORT travel from sender to receiver.
+ * STREAM_CREDIT, STREAM_DONE and STREAM_CANCEL travel from receiver to sender.
+ * Chunks are binary frames on the STREAM channel whose event is the stream id and data is [UInt32BE sequence][bytes].
+ */
+class Streams {
+    #cursor = 0;
+    #outgoing = new Map();
+    #incoming = new Map();
+    #send;
+    #on_stream;
+    #options = {
+        chunk_size: 16 * 1024,
+        window: 16,
+    };
+
+    /**
+     * Creates a new Streams instance which manages chunked transfers in both directions.
+     *
+     * @param {Function} send Transport handler for outgoing envelopes. Example: (owner, channel, event, data) => Boolean
+     * @param {Function} on_stream Handler for incoming streams. Returns false to refuse the stream. Example: (owner, name, readable) => Boolean
+     * @param {Object} options Stream Options
+     * @param {Number} options.chunk_size Maximum number of bytes sent in each chunk
+     * @param {Number} options.window Number of chunks which can be in flight before the receiver grants more credit
+     */
+    constructor(send, on_stream, options = this.#options) {
+        if (typeof send !== 'function')
+            throw new Error('new Streams(send, on_stream) -> send must be a Function');
+        if (typeof on_stream !== 'function')
+            throw new Error('new Streams(send, on_stream) -> on_stream must be a Function');
+
+        wrap_object(this.#options, options);
+        const { chunk_size, window } = this.#options;
+        if (!(chunk_size > 0) || !(window > 0))
+            throw new Error('new Streams() -> chunk_size and window must be greater than 0');
+        this.#send = send;
+        this.#on_stream = on_stream;
+    }
+
+    /**
+     * Creates an error which carries a stream error code.
+     *
+     * @param {String} code
+     * @param {String} message
+     * @returns {Error}
+     */
+    _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Opens an outgoing stream to the specified owner.
+     *
+     * @param {*} owner Owner of the stream used for routing and cleanup
+     * @param {String} name Stream name received by the remote 'stream' event
+     * @returns {Writable}
+     */
+    create(owner, name) {
+        if (typeof name !== 'string') throw new Error('stream(name) -> name must be a String');
+
+        let reference = this;
+        const id = ++this.#cursor;
+        const { chunk_size, window } = this.#options;
+        const entry = {
+            owner,
+            id,
+            credit: window,
+            sequence: 0,
+            bytes: 0,
+            hash: crypto.createHash('sha256'),
+            waiter: null,
+            finish: null,
+            finished: false,
+            remote: false,
+        };
+
+        entry.writable = new Writable({
+            highWaterMark: chunk_size,
+            write(chunk, encoding, callback) {
+                reference._write(entry, chunk).then(() => callback(), callback);
+            },
+            final(callback) {
+                reference._final(entry, callback);
+            },
+            destroy(error, callback) {
+                reference._close_outgoing(entry, error);
+                callback(error);
+            },
+        });
+
+        // Store stream before opening to ensure fast credits and cancellations are matched
+        this.#outgoing.set(id, entry);
+        if (!this.#send(owner, CHANNELS.CONTROL, 'STREAM_OPEN', { id, name, window })) {
+            entry.remote = true;
+            process.nextTick(() =>
+                entry.writable.destroy(
+                    this._error('STREAM_CLOSED', 'Failed to open stream as connection is not open')
+                )
+            );
+        }
+
+        return entry.writable;
+    }
+
+    /**
+     * Splits written data into sequenced chunks while waiting for credit from the receiver.
+     *
+     * @param {Object} entry Outgoing stream
+     * @param {Buffer} chunk
+     * @returns {Promise}
+     */
+    async _write(entry, chunk) {
+        const { chunk_size } = this.#options;
+        for (let offset = 0; offset < chunk.length; offset += chunk_size) {
+            if (entry.credit <= 0) await new Promise((resolve) => (entry.waiter = resolve));
+            if (this.#outgoing.get(entry.id) !== entry) return;
+
+            const slice = chunk.subarray(offset, offset + chunk_size);
+            const data = Buffer.allocUnsafe(4 + slice.length);
+            data.writeUInt32BE(entry.sequence, 0);
+            slice.copy(data, 4);
+            if (!this.#send(entry.owner, CHANNELS.STREAM, String(entry.id), data))
+                throw this._error(
+                    'STREAM_CLOSED',
+                    'Failed to send stream chunk as connection is not open'
+                );
+
+            entry.hash.update(slice);
+            entry.bytes += slice.length;
+            entry.sequence++;
+            entry.credit--;
+        }
+    }
+
+    /**
+     * Ends an outgoing stream with its integrity checksum and waits for the receiver to verify it.
+     *
+     * @param {Object} entry Outgoing stream
+     * @param {Function} callback
+     */
+    _final(entry, callback) {
+        entry.finish = callback;
+        const sent = this.#send(entry.owner, CHANNELS.CONTROL, 'STREAM_END', {
+            id: entry.id,
+            chunks: entry.sequence,
+            bytes: entry.bytes,
+            checksum: entry.hash.digest('hex'),
+        });
+        if (!sent)
+            callback(
+                this._error('STREAM_CLOSED', 'Failed to end stream as connection is not open')
+            );
+    }
+
+    /**
+     * Removes an outgoing stream and notifies the receiver if it was destroyed before completing.
+     *
+     * @param {Object} entry Outgoing stream
+     * @param {Error} error
+     */
+    _close_outgoing(entry, error) {
+        if (this.#outgoing.get(entry.id) !== entry) return;
+        this.#outgoing.delete(entry.id);
+
+        // Release a pending write so it can observe the closure
+        if (entry.waiter) entry.waiter();
+        if (!entry.finished && !entry.remote)
+            this.#send(entry.owner, CHANNELS.CONTROL, 'STREAM_ABORT', {
+                id: entry.id,
+                reason: error ? error.message : 'Stream was destroyed by sender',
+            });
+    }
+
+    /**
+     * Finds an outgoing stream which belongs to the specified owner.
+     *
+     * @param {*} owner
+     * @param {Object} packet
+     * @returns {Object|undefined}
+     */
+    _find_outgoing(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+        const entry = this.#outgoing.get(packet.id);
+        if (entry && entry.owner === owner) return entry;
+    }
+
+    /**
+     * Finds an incoming stream which belongs to the specified owner.
+     *
+     * @param {*} owner
+     * @param {Number} id
+     * @returns {Object|undefined}
+     */
+    _find_incoming(owner, id) {
+        const streams = this.#incoming.get(owner);
+        if (streams) return streams.get(String(id));
+    }
+
+    /**
+     * Handles an incoming stream open packet by emitting a readable stream.
+     *
+     * @param {*} owner
+     * @param {Object} packet Open packet
+     */
+    _on_open(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+        const { id, name, window } = packet;
+        if (typeof name !== 'string' || !(window > 0) || this._find_incoming(owner, id)) return;
+
+        let reference = this;
+        const entry = {
+            owner,
+            id,
+            sequence: 0,
+            bytes: 0,
+            hash: crypto.createHash('sha256'),
+            credit: window,
+            pending_credit: 0,
+            threshold: Math.ceil(window / 2),
+            paused: false,
+            ended: false,
+            remote: false,
+        };
+
+        entry.readable = new Readable({
+            read() {
+                entry.paused = false;
+                if (entry.pending_credit > 0) reference._grant(entry);
+            },
+            destroy(error, callback) {
+                reference._close_incoming(entry, error);
+                callback(error);
+            },
+        });
+
+        if (!this.#incoming.has(owner)) this.#incoming.set(owner, new Map());
+        this.#incoming.get(owner).set(String(id), entry);
+
+        // Refuse streams which have no handler without erroring the unused readable
+        if (this.#on_stream(owner, name, entry.readable) === false) {
+            entry.remote = true;
+            entry.readable.destroy();
+            this.#send(owner, CHANNELS.CONTROL, 'STREAM_CANCEL', {
+                id,
+                reason: `Stream "${name}" was refused`,
+            });
+        }
+    }
+
+    /**
+     * Handles an incoming stream chunk.
+     *
+     * @param {*} owner
+     * @param {String} id Stream id
+     * @param {Buffer} data [UInt32BE sequence][bytes]
+     */
+    _on_chunk(owner, id, data) {
+        const entry = this._find_incoming(owner, id);
+        if (entry === undefined || !Buffer.isBuffer(data)) return;
+
+        // Chunks must arrive in sequence as websocket frames are ordered
+        if (data.length < 4 || data.readUInt32BE(0) !== entry.sequence)
+            return entry.readable.destroy(
+                this._error('STREAM_INTEGRITY', 'Stream chunk arrived out of sequence')
+            );
+
+        // Senders which ignore flow control could otherwise buffer unlimited chunks in the readable
+        if (entry.credit <= 0)
+            return entry.readable.destroy(
+                this._error('STREAM_INTEGRITY', 'Stream chunk arrived without credit')
+            );
+
+        const slice = data.subarray(4);
+        entry.credit--;
+        entry.hash.update(slice);
+        entry.bytes += slice.length;
+        entry.sequence++;
+        entry.pending_credit++;
+
+        // Grant credit in batches unless the reader has fallen behind
+        if (!entry.readable.push(slice)) entry.paused = true;
+        if (!entry.paused && entry.pending_credit >= entry.threshold) this._grant(entry);
+    }
+
+    /**
+     * Grants credit for consumed chunks back to the sender.
+     *
+     * @param {Object} entry Incoming stream
+     */
+    _grant(entry) {
+        const credit = entry.pending_credit;
+        entry.credit += credit;
+        entry.pending_credit = 0;
+        this.#send(entry.owner, CHANNELS.CONTROL, 'STREAM_CREDIT', { id: entry.id, credit });
+    }
+
+    /**
+     * Handles an incoming stream end packet by verifying integrity before ending the readable stream.
+     *
+     * @param {*} owner
+     * @param {Object} packet End packet
+     */
+    _on_end(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+        const entry = this._find_incoming(owner, packet.id);
+        if (entry === undefined) return;
+
+        if (
+            packet.chunks !== entry.sequence ||
+            packet.bytes !== entry.bytes ||
+            packet.checksum !== entry.hash.digest('hex')
+        )
+            return entry.readable.destroy(
+                this._error('STREAM_INTEGRITY', 'Stream checksum verification failed')
+            );
+
+        entry.ended = true;
+        this._remove_incoming(entry);
+        this.#send(owner, CHANNELS.CONTROL, 'STREAM_DONE', { id: entry.id });
+        entry.readable.push(null);
+    }
+
+    /**
+     * Handles an incoming stream abort packet from the sender.
+     *
+     * @param {*} owner
+     * @param {Object} packet Abort packet
+     */
+    _on_abort(owner, packet) {
+        if (packet === null || typeof packet !== 'object') return;
+        const entry = this._find_incoming(owner, packet.id);
+        if (entry === undefined) return;
+
+        entry.remote = true;
+        entry.readable.destroy(
+            this._error('STREAM_CANCELLED', 'Stream was aborted by sender: ' + packet.reason)
+        );
+    }
+
+    /**
+     * Removes an incoming stream and notifies the sender if it was destroyed before completing.
+     *
+     * @param {Object} entry Incoming stream
+     * @param {Error} error
+     */
+    _close_incoming(entry, error) {
+        if (!this._remove_incoming(entry) || entry.ended || entry.remote) return;
+        this.#send(entry.owner, CHANNELS.CONTROL, 'STREAM_CANCEL', {
+            id: entry.id,
+            reason: error ? error.message : 'Stream was destroyed by receiver',
+        });
+    }
+
+    /**
+     * Removes an incoming stream from its owner.
+     *
+     * @param {Object} entry Incoming stream
+     * @returns {Boolean} Returns true if the stream was removed
+     */
+    _remove_incoming(entry) {
+        const streams = this.#incoming.get(entry.owner);
+        const id = String(entry.id);
+        if (streams === undefined || streams.get(id) !== entry) return false;
+
+        streams.delete(id);
+        if (streams.size == 0) this.#incoming.delete(entry.owner);
+        return true;
+    }
+
+    /**
+     * Handles an incoming credit packet by resuming pending writes.
+     *
+     * @param {*} owner
+     * @param {Object} packet Credit packet
+     */
+    _on_credit(owner, packet) {
+        const entry = this._find_outgoing(owner, packet);
+        if (entry === undefined || !(packet.credit > 0)) return;
+
+        entry.credit += packet.credit;
+        const waiter = entry.waiter;
+        entry.waiter = null;
+        if (waiter) waiter();
+    }
+
+    /**
+     * Handles an incoming done packet by finishing the outgoing stream.
+     *
+     * @param {*} owner
+     * @param {Object} packet Done packet
+     */
+    _on_done(owner, packet) {
+        const entry = this._find_outgoing(owner, packet);
+        if (entry === undefined || entry.finish === null) return;
+
+        entry.finished = true;
+        this.#outgoing.delete(entry.id);
+        entry.finish();
+    }
+
+    /**
+     * Handles an incoming cancel packet from the receiver.
+     *
+     * @param {*} owner
+     * @param {Object} packet Cancel packet
+     */
+    _on_cancel(owner, packet) {
+        const entry = this._find_outgoing(owner, packet);
+        if (entry === undefined) return;
+
+        entry.remote = true;
+        entry.writable.destroy(
+            this._error('STREAM_CANCELLED', 'Stream was cancelled by receiver: ' + packet.reason)
+        );
+    }
+
+    /**
+     * Handles incoming stream control packets.
+     *
+     * @param {*} owner
+     * @param {String} event Control event
+     * @param {*} data Control data
+     * @returns {Boolean} Returns true if the event was a stream control packet
+     */
+    _on_control(owner, event, data) {
+        switch (event) {
+            case 'STREAM_OPEN':
+                this._on_open(owner, data);
+                return true;
+            case 'STREAM_END':
+                this._on_end(owner, data);
+                return true;
+            case 'STREAM_ABORT':
+                this._on_abort(owner, data);
+                return true;
+            case 'STREAM_CREDIT':
+                this._on_credit(owner, data);
+                return true;
+            case 'STREAM_DONE':
+                this._on_done(owner, data);
+                return true;
+            case 'STREAM_CANCEL':
+                this._on_cancel(owner, data);
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Destroys all streams in both directions which belong to the specified owner.
+     *
+     * @param {*} owner
+     * @param {String} reason
+     */
+    destroy_all(owner, reason) {
+        const error = this._error('STREAM_CLOSED', reason);
+        this.#outgoing.forEach((entry) => {
+            if (entry.owner !== owner) return;
+            entry.remote = true;
+            entry.writable.destroy(error);
+        });
+
+        const streams = this.#incoming.get(owner) || new Map();
+        streams.forEach((entry) => {
+            entry.remote = true;
+            entry.readable.destroy(error);
+        });
+    }
+
+    /* Streams Getters */
+    get active() {
+        let incoming = 0;
+        this.#incoming.forEach((streams) => (incoming += streams.size));
+        return this.#outgoing.size + incoming;
+    }
+}
+
+module.exports = Streams;
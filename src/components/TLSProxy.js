@@ -0,0 +1,158 @@
+const fs = require('fs');
+const tls = require('tls');
+const net = require('net');
+const crypto = require('crypto');
+const { HEADERS } = require('../shared/constants.js');
+const { to_base64url, sign, timing_safe_equal, split_token } = require('../shared/tokens.js');
+
+class TLSProxy {
+    #server;
+    #target_port;
+    #secret = crypto.randomBytes(32);
+    #sockets = new Set();
+    #options = {
+        max_header_size: 16 * 1024,
+    };
+
+    /**
+     * Creates a new TLSProxy instance which terminates mutual TLS connections and forwards them to a local port.
+     * uWebsockets.js does not expose peer certificates thus verified client certificates are forwarded
+     * to the local server in a signed request header which can not be forged by clients.
+     *
+     * @param {Object} ssl SSL Options
+     * @param {String} ssl.key Path to SSL Key file
+     * @param {String} ssl.cert Path to SSL Cert file
+     * @param {String} ssl.ca Path to CA bundle file used to verify client certificates
+     * @param {String} ssl.passphrase Secret passphrase for SSL Key file
+     * @param {Number} target_port Local port to forward decrypted connections to
+     */
+    constructor(ssl, target_port) {
+        const { key, cert, ca, passphrase } = ssl;
+        if (!key || !cert || !ca)
+            throw new Error('new TLSProxy() -> ssl.key, ssl.cert and ssl.ca are required');
+
+        this.#target_port = target_port;
+        this.#server = tls.createServer(
+            {
+                key: fs.readFileSync(key),
+                cert: fs.readFileSync(cert),
+                ca: fs.readFileSync(ca),
+                passphrase: passphrase || undefined,
+                requestCert: true,
+                rejectUnauthorized: true,
+            },
+            (socket) => this._on_connection(socket)
+        );
+    }
+
+    /**
+     * Starts listening for TLS connections on the specified port.
+     *
+     * @param {Number} port
+     * @returns {Promise}
+     */
+    listen(port) {
+        return new Promise((resolve, reject) => {
+            this.#server.once('error', reject);
+            this.#server.listen(port, () => {
+                this.#server.removeListener('error', reject);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Creates a signed header value describing the verified peer certificate of a socket.
+     *
+     * @param {tls.TLSSocket} socket
+     * @returns {String}
+     */
+    _sign_certificate(socket) {
+        const { subject, issuer, fingerprint256, valid_to } = socket.getPeerCertificate();
+        const payload = to_base64url(
+            JSON.stringify({
+                subject: Object.assign({}, subject),
+                issuer: Object.assign({}, issuer),
+                fingerprint: fingerprint256,
+                valid_to,
+                ip: socket.remoteAddress,
+            })
+        );
+        return payload + '.' + sign(this.#secret, payload);
+    }
+
+    /**
+     * Verifies a signed certificate header value forwarded by this proxy.
+     *
+     * @param {String} value
+     * @returns {Object|undefined} { subject, issuer, fingerprint, valid_to, ip } or undefined if invalid
+     */
+    verify(value) {
+        if (typeof value !== 'string') return;
+        const decoded = split_token(value, 2);
+        if (decoded === undefined) return;
+        if (!timing_safe_equal(sign(this.#secret, decoded.content), decoded.signature)) return;
+        return decoded.parts[0];
+    }
+
+    /**
+     * Reads the request head of an incoming connection, injects the signed certificate header and
+     * forwards all traffic to the target port.
+     *
+     * @param {tls.TLSSocket} socket
+     */
+    _on_connection(socket) {
+        const header = HEADERS.CLIENT_CERTIFICATE + ': ' + this._sign_certificate(socket);
+        let head = Buffer.alloc(0);
+        this.#sockets.add(socket);
+        socket.on('close', () => this.#sockets.delete(socket));
+        socket.on('error', () => socket.destroy());
+
+        const on_data = (chunk) => {
+            head = Buffer.concat([head, chunk]);
+            const end = head.indexOf('\r\n\r\n');
+            if (end == -1) {
+                if (head.length > this.#options.max_header_size) socket.destroy();
+                return;
+            }
+            socket.removeListener('data', on_data);
+
+            // Strip any client provided certificate headers and inject the signed header
+            const lines = head
+                .toString('latin1', 0, end)
+                .split('\r\n')
+                .filter(
+                    (line, index) =>
+                        index == 0 ||
+                        !line.toLowerCase().startsWith(HEADERS.CLIENT_CERTIFICATE + ':')
+                );
+            lines.splice(1, 0, header);
+
+            // Forward modified request head and pipe remaining traffic in both directions
+            const upstream = net.connect(this.#target_port, '127.0.0.1');
+            this.#sockets.add(upstream);
+            upstream.on('close', () => {
+                this.#sockets.delete(upstream);
+                socket.destroy();
+            });
+            upstream.on('error', () => upstream.destroy());
+            socket.on('close', () => upstream.destroy());
+            upstream.write(Buffer.from(lines.join('\r\n'), 'latin1'));
+            upstream.write(head.subarray(end));
+            socket.pipe(upstream);
+            upstream.pipe(socket);
+        };
+        socket.on('data', on_data);
+    }
+
+    /**
+     * Closes the proxy server and all forwarded connections.
+     */
+    close() {
+        this.#server.close();
+        this.#sockets.forEach((socket) => socket.destroy());
+        this.#sockets.clear();
+    }
+}
+
+module.exports = TLSProxy;
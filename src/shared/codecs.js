@@ -0,0 +1,280 @@
+/**
+ * Payload codecs encode envelopes of [channel, event, data] into websocket frame payloads.
+ * Binary data is always sent as a raw binary envelope thus codecs only encode all other values.
+ * Codecs are negotiated at connect time through websocket subprotocols named CODEC_PROTOCOL + codec name.
+ */
+const CODEC_PROTOCOL = 'network-cluster.';
+
+const JSON_CODEC = {
+    name: 'json',
+    binary: false,
+    encode: (envelope) => JSON.stringify(envelope),
+    decode: (payload) => JSON.parse(payload),
+};
+
+/**
+ * Encodes a value into MessagePack format chunks.
+ * Buffers are encoded as bin, non-integer and large numbers as float 64 and undefined as nil.
+ * Functions and symbols are handled like JSON: object members are skipped and other values encoded as nil.
+ *
+ * @param {*} value
+ * @param {Array} chunks
+ */
+function msgpack_write(value, chunks) {
+    if (value === null || msgpack_skipped(value)) return chunks.push(Buffer.from([0xc0]));
+    if (value === false) return chunks.push(Buffer.from([0xc2]));
+    if (value === true) return chunks.push(Buffer.from([0xc3]));
+
+    if (typeof value == 'number') {
+        let buffer;
+        if (Number.isInteger(value) && value >= -32 && value <= 127) {
+            buffer = Buffer.allocUnsafe(1);
+            buffer.writeInt8(value, 0);
+        } else if (Number.isInteger(value) && value >= 0 && value <= 0xffffffff) {
+            buffer = Buffer.allocUnsafe(5);
+            buffer.writeUInt8(0xce, 0);
+            buffer.writeUInt32BE(value, 1);
+        } else if (Number.isInteger(value) && value < 0 && value >= -0x80000000) {
+            buffer = Buffer.allocUnsafe(5);
+            buffer.writeUInt8(0xd2, 0);
+            buffer.writeInt32BE(value, 1);
+        } else {
+            buffer = Buffer.allocUnsafe(9);
+            buffer.writeUInt8(0xcb, 0);
+            buffer.writeDoubleBE(value, 1);
+        }
+        return chunks.push(buffer);
+    }
+
+    if (typeof value == 'string') {
+        const string = Buffer.from(value, 'utf8');
+        chunks.push(msgpack_header(string.length, 0xa0, 31, 0xd9, 0xda, 0xdb));
+        return chunks.push(string);
+    }
+
+    if (Buffer.isBuffer(value) || value instanceof ArrayBuffer || ArrayBuffer.isView(value)) {
+        const buffer = Buffer.isBuffer(value)
+            ? value
+            : value instanceof ArrayBuffer
+            ? Buffer.from(value)
+            : Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+        chunks.push(msgpack_header(buffer.length, null, -1, 0xc4, 0xc5, 0xc6));
+        return chunks.push(buffer);
+    }
+
+    // Convert values such as Dates the same way JSON would
+    if (typeof value.toJSON == 'function') return msgpack_write(value.toJSON(), chunks);
+
+    if (Array.isArray(value)) {
+        chunks.push(msgpack_header(value.length, 0x90, 15, null, 0xdc, 0xdd));
+        return value.forEach((item) => msgpack_write(item, chunks));
+    }
+
+    if (typeof value == 'object') {
+        const keys = Object.keys(value).filter((key) => !msgpack_skipped(value[key]));
+        chunks.push(msgpack_header(keys.length, 0x80, 15, null, 0xde, 0xdf));
+        return keys.forEach((key) => {
+            msgpack_write(key, chunks);
+            msgpack_write(value[key], chunks);
+        });
+    }
+
+    throw new Error('msgpack codec -> Unsupported value of type ' + typeof value);
+}
+
+/**
+ * Returns whether a value has no JSON representation and is thus omitted from objects.
+ *
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function msgpack_skipped(value) {
+    return value === undefined || typeof value == 'function' || typeof value == 'symbol';
+}
+
+/**
+ * Creates a MessagePack length header using the smallest available format.
+ *
+ * @param {Number} length
+ * @param {Number} fixed Fixed format prefix or null if unavailable
+ * @param {Number} fixed_max Maximum length of the fixed format
+ * @param {Number} prefix_8 8 bit length prefix or null if unavailable
+ * @param {Number} prefix_16 16 bit length prefix
+ * @param {Number} prefix_32 32 bit length prefix
+ * @returns {Buffer}
+ */
+function msgpack_header(length, fixed, fixed_max, prefix_8, prefix_16, prefix_32) {
+    if (fixed !== null && length <= fixed_max) return Buffer.from([fixed | length]);
+    if (prefix_8 !== null && length <= 0xff) return Buffer.from([prefix_8, length]);
+    if (length <= 0xffff) {
+        const buffer = Buffer.allocUnsafe(3);
+        buffer.writeUInt8(prefix_16, 0);
+        buffer.writeUInt16BE(length, 1);
+        return buffer;
+    }
+    const buffer = Buffer.allocUnsafe(5);
+    buffer.writeUInt8(prefix_32, 0);
+    buffer.writeUInt32BE(length, 1);
+    return buffer;
+}
+
+/**
+ * Decodes a MessagePack value from a buffer at the cursor position.
+ *
+ * @param {Buffer} buffer
+ * @param {Object} cursor { offset: Number }
+ * @returns {*}
+ */
+function msgpack_read(buffer, cursor) {
+    const type = buffer.readUInt8(cursor.offset++);
+    const read = (method, size) => {
+        const value = buffer[method](cursor.offset);
+        cursor.offset += size;
+        return value;
+    };
+    const bytes = (length) => {
+        if (cursor.offset + length > buffer.length)
+            throw new Error('msgpack codec -> Unexpected end of payload');
+        return buffer.subarray(cursor.offset, (cursor.offset += length));
+    };
+    const array = (length) => {
+        const items = [];
+        for (let i = 0; i < length; i++) items.push(msgpack_read(buffer, cursor));
+        return items;
+    };
+    const map = (length) => {
+        const object = {};
+        for (let i = 0; i < length; i++) {
+            // Define keys as own properties like JSON.parse so keys such as __proto__ are inert
+            Object.defineProperty(object, msgpack_read(buffer, cursor), {
+                value: msgpack_read(buffer, cursor),
+                enumerable: true,
+                writable: true,
+                configurable: true,
+            });
+        }
+        return object;
+    };
+
+    if (type <= 0x7f) return type;
+    if (type >= 0xe0) return type - 0x100;
+    if (type >= 0xa0 && type <= 0xbf) return bytes(type & 0x1f).toString('utf8');
+    if (type >= 0x90 && type <= 0x9f) return array(type & 0x0f);
+    if (type >= 0x80 && type <= 0x8f) return map(type & 0x0f);
+
+    switch (type) {
+        case 0xc0:
+            return null;
+        case 0xc2:
+            return false;
+        case 0xc3:
+            return true;
+        case 0xc4:
+            return Buffer.from(bytes(read('readUInt8', 1)));
+        case 0xc5:
+            return Buffer.from(bytes(read('readUInt16BE', 2)));
+        case 0xc6:
+            return Buffer.from(bytes(read('readUInt32BE', 4)));
+        case 0xca:
+            return read('readFloatBE', 4);
+        case 0xcb:
+            return read('readDoubleBE', 8);
+        case 0xcc:
+            return read('readUInt8', 1);
+        case 0xcd:
+            return read('readUInt16BE', 2);
+        case 0xce:
+            return read('readUInt32BE', 4);
+        case 0xcf:
+            return Number(read('readBigUInt64BE', 8));
+        case 0xd0:
+            return read('readInt8', 1);
+        case 0xd1:
+            return read('readInt16BE', 2);
+        case 0xd2:
+            return read('readInt32BE', 4);
+        case 0xd3:
+            return Number(read('readBigInt64BE', 8));
+        case 0xd9:
+            return bytes(read('readUInt8', 1)).toString('utf8');
+        case 0xda:
+            return bytes(read('readUInt16BE', 2)).toString('utf8');
+        case 0xdb:
+            return bytes(read('readUInt32BE', 4)).toString('utf8');
+        case 0xdc:
+            return array(read('readUInt16BE', 2));
+        case 0xdd:
+            return array(read('readUInt32BE', 4));
+        case 0xde:
+            return map(read('readUInt16BE', 2));
+        case 0xdf:
+            return map(read('readUInt32BE', 4));
+    }
+
+    throw new Error('msgpack codec -> Unsupported type 0x' + type.toString(16));
+}
+
+const MSGPACK_CODEC = {
+    name: 'msgpack',
+    binary: true,
+    encode: (envelope) => {
+        const chunks = [];
+        msgpack_write(envelope, chunks);
+        return Buffer.concat(chunks);
+    },
+    decode: (payload) => {
+        const cursor = { offset: 0 };
+        const value = msgpack_read(payload, cursor);
+        if (cursor.offset !== payload.length)
+            throw new Error('msgpack codec -> Unexpected trailing bytes');
+        return value;
+    },
+};
+
+const CODECS = {
+    json: JSON_CODEC,
+    msgpack: MSGPACK_CODEC,
+};
+
+/**
+ * Resolves a list of codec names and custom codec objects into an ordered list of codecs.
+ *
+ * @param {Array} codecs Example: ['msgpack', 'json', { name: 'custom', binary: true, encode, decode }]
+ * @returns {Array} Codec objects
+ */
+function resolve_codecs(codecs) {
+    const resolved = (Array.isArray(codecs) ? codecs : [codecs]).map((codec) => {
+        if (typeof codec == 'string') {
+            if (CODECS[codec] === undefined) throw new Error('Unknown codec ' + codec);
+            return CODECS[codec];
+        }
+
+        if (
+            codec === null ||
+            typeof codec !== 'object' ||
+            typeof codec.name !== 'string' ||
+            !/^[a-z0-9_.-]+$/i.test(codec.name) ||
+            typeof codec.encode !== 'function' ||
+            typeof codec.decode !== 'function'
+        )
+            throw new Error(
+                'Codecs must be a known codec name or an object with a name, encode and decode'
+            );
+        return {
+            name: codec.name,
+            binary: codec.binary === true,
+            encode: codec.encode,
+            decode: codec.decode,
+        };
+    });
+
+    if (resolved.length == 0) throw new Error('At least one codec must be provided');
+    return resolved;
+}
+
+module.exports = {
+    CODEC_PROTOCOL,
+    JSON_CODEC,
+    CODECS,
+    resolve_codecs,
+};
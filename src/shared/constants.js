@@ -0,0 +1,13 @@
+/**
+ * HTTP headers used by Consumer instances during connection upgrades.
+ * Header names are lowercase as HyperExpress exposes request headers in lowercase.
+ */
+const HEADERS = {
+    AUTHORIZATION: 'authorization',
+    SESSION: 'x-network-cluster-session',
+    CLIENT_CERTIFICATE: 'x-network-cluster-client-certificate',
+};
+
+module.exports = {
+    HEADERS,
+};
@@ -0,0 +1,159 @@
+const { JSON_CODEC } = require('./codecs.js');
+
+/**
+ * Channels which separate internal control packets from user messages.
+ * User payloads are always sent on the MESSAGE or TOPIC channels thus can never collide with control packets.
+ * Stream chunks are sent as binary frames on the STREAM channel.
+ */
+const CHANNELS = {
+    CONTROL: 0,
+    MESSAGE: 1,
+    TOPIC: 2,
+    STREAM: 3,
+};
+
+/**
+ * First byte of binary frames which carry an envelope encoded by a binary codec.
+ */
+const CODEC_FRAME = 0xff;
+
+/**
+ * Determines whether provided data should be sent as a binary frame.
+ *
+ * @param {*} data
+ * @returns {Boolean}
+ */
+function is_binary_data(data) {
+    return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+/**
+ * Converts binary data into a Buffer without copying when possible.
+ *
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @returns {Buffer}
+ */
+function to_buffer(data) {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+}
+
+/**
+ * Encodes an envelope into a websocket frame payload.
+ *
+ * Text Frame: Text codec encoded array of [channel, event, data]. JSON by default
+ * Binary Frame: [UInt8 channel][UInt16BE event length][event][raw data]
+ * Binary Codec Frame: [UInt8 CODEC_FRAME][binary codec encoded array of [channel, event, data]]
+ *
+ * @param {Number} channel One of CHANNELS
+ * @param {String} event Event name, topic name for TOPIC channel or null for untyped messages
+ * @param {*} data JSON serializable data or Buffer/ArrayBuffer
+ * @param {Object} codec Codec used to encode non binary data. See codecs.js
+ * @returns {Object} { payload: String|Buffer, is_binary: Boolean }
+ */
+function encode_envelope(channel, event = null, data = null, codec = JSON_CODEC) {
+    // Encode serializable data with the connection codec
+    if (!is_binary_data(data)) {
+        const payload = codec.encode([channel, event, data === undefined ? null : data]);
+        if (!codec.binary) return { payload, is_binary: false };
+        return {
+            payload: Buffer.concat([Buffer.from([CODEC_FRAME]), to_buffer(payload)]),
+            is_binary: true,
+        };
+    }
+
+    // Encode binary data with a binary header
+    const name = Buffer.from(event || '', 'utf8');
+    if (name.length > 0xffff) throw new Error('encode_envelope() -> event name is too long');
+
+    const header = Buffer.allocUnsafe(3);
+    header.writeUInt8(channel, 0);
+    header.writeUInt16BE(name.length, 1);
+    return {
+        payload: Buffer.concat([header, name, to_buffer(data)]),
+        is_binary: true,
+    };
+}
+
+/**
+ * Decodes a websocket frame payload into an envelope.
+ * Binary data is copied as uWebsockets.js ArrayBuffers are only valid synchronously.
+ *
+ * @param {String|Buffer|ArrayBuffer} message
+ * @param {Boolean} is_binary
+ * @param {Object} codec Codec used to decode non binary data. See codecs.js
+ * @returns {Object|undefined} { channel: Number, event: String, data: * } or undefined for unrecognized frames
+ */
+function decode_envelope(message, is_binary, codec = JSON_CODEC) {
+    if (is_binary) {
+        const buffer = to_buffer(message);
+        if (buffer.length > 0 && buffer[0] === CODEC_FRAME && codec.binary)
+            return parse_envelope(codec, buffer.subarray(1));
+        if (buffer.length < 3) return;
+
+        const channel = buffer.readUInt8(0);
+        const length = buffer.readUInt16BE(1);
+        if (!is_channel(channel) || buffer.length < 3 + length) return;
+
+        return {
+            channel,
+            event: length > 0 ? buffer.toString('utf8', 3, 3 + length) : null,
+            data: Buffer.from(buffer.subarray(3 + length)),
+        };
+    }
+
+    // Text frames must be a JSON array to be considered an envelope unless a text codec is used
+    if (typeof message !== 'string') return;
+    if (codec.binary || codec === JSON_CODEC) {
+        if (message[0] !== '[') return;
+        return parse_envelope(JSON_CODEC, message);
+    }
+    return parse_envelope(codec, message);
+}
+
+/**
+ * Decodes a codec encoded payload and validates it is an envelope.
+ *
+ * @param {Object} codec
+ * @param {String|Buffer} payload
+ * @returns {Object|undefined} { channel: Number, event: String, data: * } or undefined for unrecognized frames
+ */
+function parse_envelope(codec, payload) {
+    let parsed;
+    try {
+        parsed = codec.decode(payload);
+    } catch (error) {
+        return;
+    }
+
+    if (!Array.isArray(parsed) || parsed.length !== 3 || !is_channel(parsed[0])) return;
+    if (parsed[1] !== null && typeof parsed[1] !== 'string') return;
+    return {
+        channel: parsed[0],
+        event: parsed[1],
+        data: parsed[2],
+    };
+}
+
+/**
+ * Determines whether provided value is a known channel.
+ *
+ * @param {Number} channel
+ * @returns {Boolean}
+ */
+function is_channel(channel) {
+    return (
+        channel === CHANNELS.CONTROL ||
+        channel === CHANNELS.MESSAGE ||
+        channel === CHANNELS.TOPIC ||
+        channel === CHANNELS.STREAM
+    );
+}
+
+module.exports = {
+    CHANNELS,
+    encode_envelope,
+    decode_envelope,
+    is_binary_data,
+};
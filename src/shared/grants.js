@@ -0,0 +1,56 @@
+const { match_topic } = require('./operators.js');
+
+/**
+ * Grant categories which hold lists of allowed name patterns.
+ */
+const GRANT_LISTS = ['events', 'publish', 'subscribe', 'rpc', 'queues', 'streams'];
+
+/**
+ * Normalizes grants returned by an auth handler into a grants object.
+ * A null result represents unrestricted access.
+ *
+ * @param {Boolean|Object} grants Example: { events: ['jobs.*'], publish: [], subscribe: ['jobs.#'], rpc: [], queues: [], streams: [] }
+ * @returns {Object|null}
+ */
+function normalize_grants(grants) {
+    if (grants === true || grants === null || grants === undefined) return null;
+    if (typeof grants !== 'object') throw new Error('grants must be true or an object');
+
+    const normalized = {
+        messages: grants.messages === true,
+        rate_limit: grants.rate_limit || null,
+    };
+    GRANT_LISTS.forEach((category) => {
+        const patterns = grants[category];
+        normalized[category] = (Array.isArray(patterns) ? patterns : [patterns]).filter(
+            (pattern) => typeof pattern == 'string'
+        );
+    });
+    return normalized;
+}
+
+/**
+ * Determines whether grants allow an action on the provided name.
+ * Subscription patterns are only granted when every topic they match is granted.
+ *
+ * @param {Object|null} grants Normalized grants
+ * @param {String} category One of messages, events, publish, subscribe, rpc, queues or streams
+ * @param {String} name Event, topic, topic pattern, request, queue or stream name
+ * @returns {Boolean}
+ */
+function is_granted(grants, category, name) {
+    if (grants === null || grants === undefined) return true;
+    if (category === 'messages') return grants.messages === true;
+    if (typeof name !== 'string' || !Array.isArray(grants[category])) return false;
+
+    // A trailing '#' in a requested pattern is only covered by a granted pattern with a trailing '#'
+    const open_ended = category === 'subscribe' && name.split('.').pop() === '#';
+    return grants[category].some(
+        (pattern) => match_topic(pattern, name) && (!open_ended || pattern.split('.').pop() === '#')
+    );
+}
+
+module.exports = {
+    normalize_grants,
+    is_granted,
+};
@@ -1,3 +1,5 @@
+const net = require('net');
+
 /**
  * Writes values from focus object onto base object.
  *
@@ -6,7 +8,14 @@
  */
 function wrap_object(original, target) {
     Object.keys(target).forEach((key) => {
-        if (typeof target[key] == 'object') {
+        // Arrays, Buffers and null values are copied as is rather than wrapped
+        const value = target[key];
+        if (
+            typeof value == 'object' &&
+            value !== null &&
+            !Array.isArray(value) &&
+            !Buffer.isBuffer(value)
+        ) {
             if (original[key] === null || typeof original[key] !== 'object') original[key] = {};
             wrap_object(original[key], target[key]);
         } else {
@@ -66,8 +75,105 @@ function to_url_parameters(object = {}, encode = true) {
         .join('&');
 }
 
+/**
+ * Determines whether a dot delimited topic matches the provided pattern.
+ * Pattern segment "*" matches exactly one segment and a trailing "#" segment matches zero or more segments.
+ *
+ * @param {String} pattern Example: 'jobs.*' or 'jobs.#'
+ * @param {String} topic Example: 'jobs.image'
+ * @returns {Boolean}
+ */
+function match_topic(pattern, topic) {
+    if (pattern === topic || pattern === '#') return true;
+
+    const pattern_segments = pattern.split('.');
+    const topic_segments = topic.split('.');
+    for (let i = 0; i < pattern_segments.length; i++) {
+        const segment = pattern_segments[i];
+        if (segment === '#' && i === pattern_segments.length - 1) return true;
+        if (i >= topic_segments.length) return false;
+        if (segment !== '*' && segment !== topic_segments[i]) return false;
+    }
+
+    return pattern_segments.length === topic_segments.length;
+}
+
+/**
+ * Determines whether provided topic pattern contains any wildcard segments.
+ *
+ * @param {String} pattern
+ * @returns {Boolean}
+ */
+function is_wildcard_topic(pattern) {
+    return pattern.split('.').some((segment) => segment === '*' || segment === '#');
+}
+
+/**
+ * Computes the delay before the next retry attempt based on a backoff policy.
+ *
+ * @param {Object} policy Backoff policy
+ * @param {Number} policy.interval Base delay in milliseconds
+ * @param {String} policy.backoff One of fixed, linear or exponential
+ * @param {Number} policy.factor Multiplier for exponential backoff
+ * @param {Number} policy.max_interval Maximum delay in milliseconds
+ * @param {String} policy.jitter One of none, full or decorrelated
+ * @param {Number} attempt Attempt number starting at 1
+ * @param {Number} previous Previous delay used by decorrelated jitter
+ * @returns {Number} Delay in milliseconds
+ */
+function compute_backoff(policy, attempt, previous = policy.interval) {
+    const {
+        interval,
+        backoff = 'fixed',
+        factor = 2,
+        max_interval = Infinity,
+        jitter = 'none',
+    } = policy;
+
+    // Decorrelated jitter grows randomly from the previous delay
+    if (jitter === 'decorrelated') {
+        const upper = Math.max(interval, previous * 3);
+        return Math.min(max_interval, interval + Math.random() * (upper - interval));
+    }
+
+    let delay;
+    switch (backoff) {
+        case 'linear':
+            delay = interval * attempt;
+            break;
+        case 'exponential':
+            delay = interval * Math.pow(factor, attempt - 1);
+            break;
+        default:
+            delay = interval;
+    }
+
+    delay = Math.min(max_interval, delay);
+    return jitter === 'full' ? Math.random() * delay : delay;
+}
+
+/**
+ * Finds a free local port by briefly listening on a random port.
+ *
+ * @returns {Promise} Resolves with a port number
+ */
+function find_free_port() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
 module.exports = {
     wrap_object,
+    compute_backoff,
     throttled_for_each,
     to_url_parameters,
+    match_topic,
+    is_wildcard_topic,
+    find_free_port,
 };
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+
+/**
+ * Encodes provided value as a base64url string.
+ *
+ * @param {String|Buffer} value
+ * @returns {String}
+ */
+function to_base64url(value) {
+    return Buffer.from(value)
+        .toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+/**
+ * Decodes provided base64url string into a utf8 string.
+ *
+ * @param {String} value
+ * @returns {String}
+ */
+function from_base64url(value) {
+    return Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8');
+}
+
+/**
+ * Signs provided content with HMAC-SHA256 and returns a base64url signature.
+ *
+ * @param {String} key
+ * @param {String} content
+ * @returns {String}
+ */
+function sign(key, content) {
+    return to_base64url(crypto.createHmac('sha256', key).update(content).digest());
+}
+
+/**
+ * Compares two strings in constant time to prevent timing attacks.
+ *
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+function timing_safe_equal(a, b) {
+    if (typeof a !== 'string' || typeof b !== 'string') return false;
+    const x = Buffer.from(a);
+    const y = Buffer.from(b);
+
+    // Compare against itself on length mismatch to keep timing consistent
+    if (x.length !== y.length) {
+        crypto.timingSafeEqual(x, x);
+        return false;
+    }
+    return crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * Creates a signed HMAC token which identifies a consumer with a timestamp and a single use nonce.
+ *
+ * Format: base64url(JSON{ kid, name, ts, nonce }).base64url(HMAC-SHA256)
+ *
+ * @param {String} key_id Identifier of the shared key used to sign the token
+ * @param {String} key Shared key
+ * @param {String} name Consumer name
+ * @returns {String}
+ */
+function create_hmac_token(key_id, key, name = '') {
+    const payload = to_base64url(
+        JSON.stringify({
+            kid: key_id,
+            name,
+            ts: Date.now(),
+            nonce: crypto.randomBytes(16).toString('hex'),
+        })
+    );
+    return payload + '.' + sign(key, payload);
+}
+
+/**
+ * Creates a HS256 signed JWT with the provided claims.
+ *
+ * @param {Object} claims JWT claims. Example: { sub: 'worker-1', exp: 1640995200 }
+ * @param {String} key Shared key
+ * @param {String} key_id Optional key identifier placed in the JWT header
+ * @returns {String}
+ */
+function create_jwt(claims, key, key_id) {
+    const header = { alg: 'HS256', typ: 'JWT' };
+    if (key_id) header.kid = key_id;
+    const content =
+        to_base64url(JSON.stringify(header)) + '.' + to_base64url(JSON.stringify(claims));
+    return content + '.' + sign(key, content);
+}
+
+/**
+ * Splits a token into its decoded JSON parts and signed content.
+ *
+ * @param {String} token
+ * @param {Number} count Expected number of parts
+ * @returns {Object|undefined} { parts: Array, content: String, signature: String }
+ */
+function split_token(token, count) {
+    const segments = token.split('.');
+    if (segments.length !== count) return;
+    try {
+        return {
+            parts: segments.slice(0, -1).map((segment) => JSON.parse(from_base64url(segment))),
+            content: segments.slice(0, -1).join('.'),
+            signature: segments[segments.length - 1],
+        };
+    } catch (error) {
+        return;
+    }
+}
+
+module.exports = {
+    to_base64url,
+    sign,
+    timing_safe_equal,
+    create_hmac_token,
+    create_jwt,
+    split_token,
+};
@@ -1,12 +1,50 @@
 const { log } = require('./operators.js');
 const provider_test = require('./scenarios/provider_test.js');
 const consumer_test = require('./scenarios/consumer_test.js');
+const pubsub_test = require('./scenarios/pubsub_test.js');
+const queue_test = require('./scenarios/queue_test.js');
+const balancer_test = require('./scenarios/balancer_test.js');
+const session_test = require('./scenarios/session_test.js');
+const auth_test = require('./scenarios/auth_test.js');
+const tls_test = require('./scenarios/tls_test.js');
+const grants_test = require('./scenarios/grants_test.js');
+const rate_limit_test = require('./scenarios/rate_limit_test.js');
+const backpressure_test = require('./scenarios/backpressure_test.js');
+const stream_test = require('./scenarios/stream_test.js');
+const codec_test = require('./scenarios/codec_test.js');
+const shutdown_test = require('./scenarios/shutdown_test.js');
+const pause_test = require('./scenarios/pause_test.js');
+const latency_test = require('./scenarios/latency_test.js');
+const heartbeat_test = require('./scenarios/heartbeat_test.js');
+const metrics_test = require('./scenarios/metrics_test.js');
+const admin_test = require('./scenarios/admin_test.js');
+const health_test = require('./scenarios/health_test.js');
+const logging_test = require('./scenarios/logging_test.js');
 
 async function perform_tests() {
     log('TESTS', 'Performing NetworkCluster Tests...\n');
 
     await provider_test();
     await consumer_test();
+    await pubsub_test();
+    await queue_test();
+    await balancer_test();
+    await session_test();
+    await auth_test();
+    await tls_test();
+    await grants_test();
+    await rate_limit_test();
+    await backpressure_test();
+    await stream_test();
+    await codec_test();
+    await shutdown_test();
+    await pause_test();
+    await latency_test();
+    await heartbeat_test();
+    await metrics_test();
+    await admin_test();
+    await health_test();
+    await logging_test();
 
     log('TESTS', 'Finished Testing NetworkCluster Components!');
     process.exit();
@@ -0,0 +1,137 @@
+const http = require('http');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+const ADMIN_TOKEN = 'admin-token';
+
+function admin_request(method, path, body, token = ADMIN_TOKEN) {
+    return new Promise((resolve, reject) => {
+        const payload = body === undefined ? '' : JSON.stringify(body);
+        const headers = { authorization: `Bearer ${token}` };
+        if (payload) {
+            headers['content-type'] = 'application/json';
+            headers['content-length'] = Buffer.byteLength(payload);
+        }
+
+        const request = http.request(
+            { host: PROVIDER_HOST, port: PROVIDER_PORT, path: '/admin' + path, method, headers },
+            (response) => {
+                let data = '';
+                response.on('data', (chunk) => (data += chunk));
+                response.on('end', () =>
+                    resolve({ status: response.statusCode, body: data ? JSON.parse(data) : null })
+                );
+            }
+        );
+        request.on('error', reject);
+        request.end(payload);
+    });
+}
+
+async function admin_test() {
+    const GROUP = 'ADMIN';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Admin API Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        admin: {
+            enabled: true,
+            auth: ADMIN_TOKEN,
+        },
+    });
+
+    const create_consumer = (name) => {
+        const consumer = new NetworkCluster.Consumer({
+            host: PROVIDER_HOST,
+            port: PROVIDER_PORT,
+            parameters: { name },
+            reconnect: {
+                max_attempts: 0,
+            },
+        });
+        consumer.messages = [];
+        consumer.on('message', (message) => consumer.messages.push(message));
+        consumer.on('event:notice', (data) => consumer.messages.push(data));
+        return consumer;
+    };
+
+    const FIRST = create_consumer('first');
+    const SECOND = create_consumer('second');
+    await Promise.all([FIRST.connect(), SECOND.connect()]);
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 2, 5, 1000);
+
+    // Admin routes require the admin credential
+    const unauthorized = await admin_request('GET', '/connections', undefined, 'wrong');
+    assert_log(GROUP, 'Admin Routes Require Credential', () => unauthorized.status === 401);
+
+    // List and inspect connections
+    const list = await admin_request('GET', '/connections');
+    const first = list.body.find((connection) => connection.parameters.name === 'first');
+    const single = await admin_request('GET', `/connections/${first.id}`);
+    const missing = await admin_request('GET', '/connections/unknown');
+    const prototype = await admin_request('GET', '/connections/constructor');
+    assert_log(GROUP, 'List & Inspect Connections', () => {
+        return (
+            list.status === 200 &&
+            list.body.length === 2 &&
+            single.status === 200 &&
+            single.body.id === first.id &&
+            single.body.ip === first.ip &&
+            single.body.connected_at <= Date.now() &&
+            single.body.strikes === 0 &&
+            missing.status === 404 &&
+            prototype.status === 404
+        );
+    });
+
+    // Send to one connection and broadcast to all
+    const sent = await admin_request('POST', `/connections/${first.id}/send`, {
+        event: 'notice',
+        data: 'direct',
+    });
+    const report = await admin_request('POST', '/broadcast', { message: 'everyone' });
+    await wait_until(() => FIRST.messages.length === 2 && SECOND.messages.length === 1, 5, 1000);
+    assert_log(GROUP, 'Send & Broadcast', () => {
+        return (
+            sent.body.status === 'sent' &&
+            report.body.sent === 2 &&
+            FIRST.messages.join() === 'direct,everyone' &&
+            SECOND.messages[0] === 'everyone'
+        );
+    });
+
+    // Kick a connection with a reason and a reserved close code which falls back to 4000
+    let disconnect;
+    FIRST.on('disconnect', (code, reason) => (disconnect = [code, reason]));
+    const kicked = await admin_request('POST', `/connections/${first.id}/kick`, {
+        reason: 'maintenance',
+        code: 1000,
+    });
+    await wait_until(() => disconnect !== undefined, 5, 1000);
+    assert_log(GROUP, 'Kick Connection With Reason', () => {
+        return (
+            kicked.body.kicked === true &&
+            disconnect[0] === 4000 &&
+            disconnect[1] === 'maintenance' &&
+            PROVIDER.connections[first.id] === undefined
+        );
+    });
+
+    // Requests with a null body use default values
+    const second = list.body.find((connection) => connection.parameters.name === 'second');
+    const defaulted = await admin_request('POST', `/connections/${second.id}/kick`, null);
+    assert_log(GROUP, 'Null Request Body Defaults', () => {
+        return defaulted.status === 200 && defaulted.body.kicked === true;
+    });
+
+    FIRST.destroy();
+    SECOND.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Admin API In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = admin_test;
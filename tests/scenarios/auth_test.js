@@ -0,0 +1,96 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, random_string } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function connect_consumer(auth) {
+    const consumer = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        auth,
+    });
+
+    let error;
+    try {
+        await consumer.connect();
+    } catch (e) {
+        error = e;
+    }
+
+    consumer.destroy();
+    return error === undefined;
+}
+
+async function auth_test() {
+    const GROUP = 'AUTH';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Token Authentication Tests...');
+
+    // Create a provider which accepts tokens signed with either of two keys
+    const OLD_KEY = random_string(20);
+    const NEW_KEY = random_string(20);
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        auth: {
+            token: {
+                keys: {
+                    old: OLD_KEY,
+                    new: NEW_KEY,
+                },
+            },
+        },
+    });
+
+    let identities = [];
+    PROVIDER.on('open', (connection) => identities.push(connection.identity.name));
+
+    // Connect with HMAC signed tokens, a JWT and invalid credentials
+    const hmac = await connect_consumer({ name: 'hmac-worker', key_id: 'old', key: OLD_KEY });
+    const bad_key = await connect_consumer({ name: 'bad-worker', key_id: 'old', key: NEW_KEY });
+    const missing = await connect_consumer({});
+    const jwt = await connect_consumer({
+        token: () =>
+            NetworkCluster.create_jwt(
+                { sub: 'jwt-worker', exp: Math.floor(Date.now() / 1000) + 60 },
+                NEW_KEY,
+                'new'
+            ),
+    });
+    const expired = await connect_consumer({
+        token: NetworkCluster.create_jwt(
+            { sub: 'expired-worker', exp: Math.floor(Date.now() / 1000) - 60 },
+            NEW_KEY
+        ),
+    });
+
+    const unexpiring = await connect_consumer({
+        token: NetworkCluster.create_jwt({ sub: 'unexpiring-worker' }, NEW_KEY),
+    });
+
+    await wait_until(() => identities.length >= 2, 10, 1000);
+    assert_log(GROUP, 'HMAC & JWT Token Verification', () => {
+        return (
+            hmac === true &&
+            jwt === true &&
+            bad_key === false &&
+            missing === false &&
+            expired === false &&
+            unexpiring === false &&
+            identities.join() === 'hmac-worker,jwt-worker'
+        );
+    });
+
+    // Rotate keys so tokens signed with the old key are rejected
+    PROVIDER.set_auth_keys({ new: NEW_KEY });
+    const rotated_old = await connect_consumer({ key_id: 'old', key: OLD_KEY });
+    const rotated_new = await connect_consumer({ key_id: 'new', key: NEW_KEY });
+    assert_log(GROUP, 'Key Rotation', () => rotated_old === false && rotated_new === true);
+
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Token Authentication In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = auth_test;
@@ -0,0 +1,86 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+const CHUNK = 'x'.repeat(1024 * 1024);
+
+async function backpressure_test() {
+    const GROUP = 'BACKPRESSURE';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Backpressure Tests...');
+
+    // Create a provider with a low high water mark so large payloads congest connections
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        ws: {
+            high_water_mark: 64 * 1024,
+            max_backpressure: 64 * 1024 * 1024,
+            max_payload_length: 2 * 1024 * 1024,
+        },
+    });
+
+    let provider_drains = 0;
+    let received = 0;
+    PROVIDER.on('drain', () => provider_drains++);
+    PROVIDER.on('message', () => received++);
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        ws: {
+            high_water_mark: 64 * 1024,
+        },
+    });
+
+    let consumer_drains = 0;
+    let delivered = 0;
+    CONSUMER.on('drain', () => consumer_drains++);
+    CONSUMER.on('message', () => delivered++);
+    await CONSUMER.connect();
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 1, 5, 1000);
+    const id = Object.keys(PROVIDER.connections)[0];
+
+    // Flood consumer until provider reports congestion then wait for drain before sending again
+    let statuses = [];
+    for (let i = 0; i < 16; i++) statuses.push(PROVIDER.send(id, CHUNK));
+    const status = await PROVIDER.send_async(id, 'tail');
+    await wait_until(() => delivered === 17, 10, 5000);
+    assert_log(GROUP, 'Provider Send Status, send_async() & Drain Event', () => {
+        return (
+            statuses[0] === 'sent' &&
+            statuses.includes('buffered') &&
+            status !== 'dropped' &&
+            provider_drains > 0 &&
+            PROVIDER.send('unknown', 'value') === 'dropped'
+        );
+    });
+
+    // Flood provider from consumer side and ensure the consumer reports congestion as well
+    statuses = [];
+    for (let i = 0; i < 16; i++) statuses.push(CONSUMER.send(CHUNK));
+    const consumer_status = await CONSUMER.send_async('tail');
+    await wait_until(() => received === 17, 10, 5000);
+    assert_log(GROUP, 'Consumer Send Status, send_async() & Drain Event', () => {
+        return (
+            statuses.includes('buffered') &&
+            consumer_status !== 'dropped' &&
+            consumer_drains > 0 &&
+            received === 17
+        );
+    });
+
+    // Disconnected consumers without buffering drop messages
+    CONSUMER.disconnect();
+    await wait_until(() => CONSUMER.connected === false, 5, 1000);
+    assert_log(GROUP, 'Consumer Drops Messages While Disconnected', () => {
+        return CONSUMER.send('value') === 'dropped';
+    });
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Backpressure In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = backpressure_test;
@@ -0,0 +1,92 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function balancer_test() {
+    const GROUP = 'BALANCER';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Load Balancing Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+
+    // Spawn consumers with different weights
+    const received = {};
+    const CONSUMERS = [1, 1, 8].map((weight, index) => {
+        const consumer = new NetworkCluster.Consumer({
+            host: PROVIDER_HOST,
+            port: PROVIDER_PORT,
+            parameters: {
+                index,
+                weight,
+                tags: weight > 1 ? 'gpu,large' : 'cpu',
+            },
+        });
+        received[index] = 0;
+        consumer.on('message', () => received[index]++);
+        return consumer;
+    });
+    await Promise.all(CONSUMERS.map((consumer) => consumer.connect()));
+
+    assert_log(GROUP, 'Round Robin Distribution', () => {
+        const picked = [0, 1, 2, 3, 4, 5].map(() => PROVIDER.pick('round_robin').id);
+        return picked[0] === picked[3] && new Set(picked).size === 3;
+    });
+
+    assert_log(GROUP, 'Consistent Hash Stability', () => {
+        const first = PROVIDER.pick('consistent_hash', 'user-1');
+        return [0, 1, 2, 3].every(() => PROVIDER.pick('consistent_hash', 'user-1') === first);
+    });
+
+    assert_log(GROUP, 'Custom Strategy Function', () => {
+        const picked = PROVIDER.pick((connections) =>
+            connections.find((connection) => connection.parameters.index === '1')
+        );
+        return picked.parameters.index === '1';
+    });
+
+    // Send weighted messages and ensure the heaviest consumer receives the majority
+    for (let i = 0; i < 200; i++) PROVIDER.send_to_any('work', 'weighted');
+    await wait_until(() => received[0] + received[1] + received[2] === 200, 10, 2000);
+    assert_log(GROUP, 'Weighted Distribution', () => received[2] > received[0] + received[1]);
+
+    // Broadcast to all, filtered and excluded consumers
+    Object.keys(received).forEach((index) => (received[index] = 0));
+    const all_report = await PROVIDER.broadcast('all');
+    const tag_report = await PROVIDER.broadcast('gpu', { filter: { tags: ['gpu'] } });
+    const excluded_report = await PROVIDER.broadcast('excluded', {
+        exclude: PROVIDER.pick((connections) =>
+            connections.find((connection) => connection.parameters.index === '2')
+        ),
+        filter: (connection) => connection.parameters.index !== '0',
+    });
+    await wait_until(() => received[0] + received[1] + received[2] === 5, 10, 2000);
+    assert_log(GROUP, 'Filtered Broadcast Delivery Reports', () => {
+        return (
+            all_report.sent === 3 &&
+            tag_report.sent === 1 &&
+            excluded_report.sent === 1 &&
+            received[0] === 1 &&
+            received[1] === 2 &&
+            received[2] === 2
+        );
+    });
+
+    // Destroy a consumer and ensure balancer state is updated immediately on close
+    CONSUMERS[2].destroy();
+    await async_wait(50);
+    assert_log(GROUP, 'Balancer Update On Consumer Leave', () => {
+        return [0, 1, 2, 3].every(() => PROVIDER.pick('random').parameters.index !== '2');
+    });
+
+    CONSUMERS.slice(0, 2).forEach((consumer) => consumer.destroy());
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Load Balancing In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = balancer_test;
@@ -0,0 +1,149 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+// Custom text codec which reverses JSON payloads to ensure both sides use it
+const REVERSED_CODEC = {
+    name: 'reversed',
+    binary: false,
+    encode: (envelope) => JSON.stringify(envelope).split('').reverse().join(''),
+    decode: (payload) => JSON.parse(payload.split('').reverse().join('')),
+};
+
+async function codec_test() {
+    const GROUP = 'CODEC';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Compression & Codec Negotiation Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        ws: {
+            compressor: NetworkCluster.COMPRESSORS.SHARED_COMPRESSOR,
+            compression_threshold: 128,
+        },
+        codecs: ['json', 'msgpack', REVERSED_CODEC],
+    });
+
+    let received = {};
+    PROVIDER.on('event:greeting', (connection, data) => {
+        received[connection.codec.name] = data;
+        PROVIDER.send(connection, 'reply', { codec: connection.codec.name, data });
+    });
+
+    // Create consumers which prefer different codecs
+    const create_consumer = (codecs) => {
+        const consumer = new NetworkCluster.Consumer({
+            host: PROVIDER_HOST,
+            port: PROVIDER_PORT,
+            codecs,
+            ws: {
+                compression: true,
+                compression_threshold: 128,
+            },
+        });
+        consumer.replies = [];
+        consumer.published = [];
+        consumer.on('event:reply', (data) => consumer.replies.push(data));
+        consumer.subscribe('codec.test', (data) => consumer.published.push(data));
+        return consumer;
+    };
+
+    const JSON_CONSUMER = create_consumer(['json']);
+    const MSGPACK_CONSUMER = create_consumer(['msgpack', 'json']);
+    const CUSTOM_CONSUMER = create_consumer([REVERSED_CODEC, 'json']);
+    const consumers = [JSON_CONSUMER, MSGPACK_CONSUMER, CUSTOM_CONSUMER];
+    await Promise.all(consumers.map((consumer) => consumer.connect()));
+    assert_log(GROUP, 'Codec Negotiation By Preference', () => {
+        return (
+            JSON_CONSUMER.codec === 'json' &&
+            MSGPACK_CONSUMER.codec === 'msgpack' &&
+            CUSTOM_CONSUMER.codec === 'reversed'
+        );
+    });
+
+    // Send a payload above the compression threshold through each codec
+    const payload = {
+        text: 'compressible '.repeat(64),
+        number: -1234.5,
+        list: [1, null, true, 'four'],
+        nested: { buffer: 'value' },
+    };
+    consumers.forEach((consumer) => consumer.send('greeting', payload));
+    await wait_until(() => consumers.every((consumer) => consumer.replies.length === 1), 5, 2000);
+    assert_log(GROUP, 'Round Trip Through Each Codec With Compression', () => {
+        const expected = JSON.stringify(payload);
+        return (
+            ['json', 'msgpack', 'reversed'].every(
+                (name) => JSON.stringify(received[name]) === expected
+            ) &&
+            consumers.every(
+                (consumer) =>
+                    consumer.replies[0].codec === consumer.codec &&
+                    JSON.stringify(consumer.replies[0].data) === expected
+            )
+        );
+    });
+
+    // Values without a JSON representation are encoded the same way by every codec
+    const lossy = {
+        kept: 'value',
+        missing: undefined,
+        method() {},
+        symbol: Symbol('symbol'),
+        list: [1, undefined, () => {}, Symbol('symbol')],
+    };
+    JSON_CONSUMER.send('greeting', lossy);
+    MSGPACK_CONSUMER.send('greeting', lossy);
+    await wait_until(
+        () => JSON_CONSUMER.replies.length === 2 && MSGPACK_CONSUMER.replies.length === 2,
+        5,
+        2000
+    );
+    assert_log(GROUP, 'JSON & MessagePack Parity For Unserializable Values', () => {
+        const expected = JSON.stringify(lossy);
+        return (
+            expected === '{"kept":"value","list":[1,null,null,null]}' &&
+            JSON.stringify(received['json']) === expected &&
+            JSON.stringify(received['msgpack']) === expected
+        );
+    });
+
+    // Publishes are encoded once per codec in use
+    PROVIDER.publish('codec.test', { value: 'published' });
+    await wait_until(() => consumers.every((consumer) => consumer.published.length === 1), 5, 2000);
+    assert_log(GROUP, 'Publish To Subscribers Using Different Codecs', () => {
+        return consumers.every((consumer) => consumer.published[0].value === 'published');
+    });
+    consumers.forEach((consumer) => consumer.destroy());
+
+    // Consumers offering only unsupported codecs are rejected
+    PROVIDER.destroy();
+    const STRICT_PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        codecs: ['json'],
+    });
+    const UNSUPPORTED_CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        codecs: ['msgpack'],
+    });
+
+    let rejection = {};
+    try {
+        await UNSUPPORTED_CONSUMER.connect();
+    } catch (error) {
+        rejection = error;
+    }
+    assert_log(GROUP, 'Unsupported Codec Rejection', () => {
+        return rejection.message === 'Unexpected server response: 406';
+    });
+
+    UNSUPPORTED_CONSUMER.destroy();
+    STRICT_PROVIDER.destroy();
+    log(GROUP, `Finished Testing Compression & Codecs In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = codec_test;
@@ -81,6 +81,101 @@ async function consumer_test() {
     }
     assert_log(GROUP, 'Connected Ready Resolver', () => ready_error === undefined);
 
+    // Create a buffered consumer to test outbound buffering during reconnects
+    const BUFFERED_CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        parameters: {
+            auth: PROVIDER_AUTH,
+            buffered: 'true',
+        },
+        reconnect: {
+            interval: 100,
+        },
+        buffer: {
+            enabled: true,
+            max_count: 3,
+        },
+    });
+
+    let overflows = 0;
+    let buffered_messages = [];
+    BUFFERED_CONSUMER.on('buffer_overflow', (policy, dropped) => (overflows += dropped));
+    PROVIDER.on('message', (ws, message) => {
+        if (ws.parameters.buffered === 'true') buffered_messages.push(message);
+    });
+
+    // Disconnect buffered consumer from provider side and send messages while reconnecting
+    await BUFFERED_CONSUMER.connect();
+    const buffered_id = Object.keys(PROVIDER.connections).find(
+        (id) => PROVIDER.connections[id].parameters.buffered === 'true'
+    );
+    PROVIDER.connections[buffered_id].end();
+    await wait_until(() => BUFFERED_CONSUMER.connected === false, 5, 1000);
+    ['1', '2', '3', '4'].forEach((message) => BUFFERED_CONSUMER.send(message));
+    assert_log(GROUP, 'Outbound Buffer Depth & Overflow', () => {
+        return BUFFERED_CONSUMER.buffered === 3 && overflows === 1;
+    });
+
+    // Wait for reconnect and ensure buffered messages are flushed in order
+    await wait_until(() => buffered_messages.length >= 3, 10, 2000);
+    assert_log(GROUP, 'Outbound Buffer Ordered Flush On Reconnect', () => {
+        return buffered_messages.join(',') === '2,3,4' && BUFFERED_CONSUMER.buffered === 0;
+    });
+    BUFFERED_CONSUMER.destroy();
+
+    // Create a consumer with an unreachable primary endpoint to test failover
+    const FAILOVER_CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        providers: [{ port: PROVIDER_PORT + 1 }, { port: PROVIDER_PORT }],
+        parameters: {
+            auth: PROVIDER_AUTH,
+        },
+        reconnect: {
+            interval: 10,
+        },
+    });
+
+    await FAILOVER_CONSUMER.connect();
+    assert_log(GROUP, 'Failover To Healthy Provider Endpoint', () => {
+        return (
+            FAILOVER_CONSUMER.connected === true &&
+            FAILOVER_CONSUMER.endpoint.port === PROVIDER_PORT &&
+            FAILOVER_CONSUMER.endpoint.host === PROVIDER_HOST
+        );
+    });
+    FAILOVER_CONSUMER.destroy();
+
+    // Create an unreachable consumer to test reconnect backoff policy
+    const RETRY_CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT + 1,
+        reconnect: {
+            interval: 10,
+            backoff: 'exponential',
+            max_interval: 40,
+            max_attempts: Infinity,
+        },
+    });
+
+    let delays = [];
+    RETRY_CONSUMER.on('reconnecting', (attempt, delay) => delays.push(delay));
+    RETRY_CONSUMER.connect().catch(() => {});
+    await wait_until(() => delays.length >= 4, 5, 2000);
+
+    // Disconnect should cancel the pending reconnect timer
+    RETRY_CONSUMER.disconnect();
+    const attempts = delays.length;
+    await async_wait(100);
+    assert_log(GROUP, 'Exponential Reconnect Backoff & Disconnect Cancellation', () => {
+        return (
+            delays.slice(0, 4).join(',') === '10,20,40,40' &&
+            delays.length === attempts &&
+            RETRY_CONSUMER.in_flight === false
+        );
+    });
+    RETRY_CONSUMER.destroy();
+
     // Destroy provider to free up port
     PROVIDER.destroy();
 
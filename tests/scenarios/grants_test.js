@@ -0,0 +1,98 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function grants_test() {
+    const GROUP = 'GRANTS';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Authorization Grants Tests...');
+
+    // Create a provider which restricts consumers to a few events, topics and requests
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        auth: {
+            max_violations: 4,
+            handler: () => ({
+                events: ['status'],
+                subscribe: ['jobs.*'],
+                rpc: ['ping'],
+            }),
+        },
+    });
+    PROVIDER.handle('ping', () => 'pong');
+    PROVIDER.handle('secret', () => 'secret');
+
+    let received = [];
+    let violations = [];
+    PROVIDER.on('event:status', (connection, data) => received.push('status|' + data));
+    PROVIDER.on('event:secret', (connection, data) => received.push('secret|' + data));
+    PROVIDER.on('message', (connection, data) => received.push('message|' + data));
+    PROVIDER.on('violation', (connection, category, name) =>
+        violations.push(category + '|' + (name || ''))
+    );
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        reconnect: {
+            max_attempts: 0,
+        },
+    });
+    await CONSUMER.connect();
+
+    // Send granted and forbidden events, subscriptions and requests
+    CONSUMER.send('status', 'ok');
+    CONSUMER.send('secret', 'leak');
+    CONSUMER.subscribe('jobs.*');
+    CONSUMER.subscribe('admin');
+    const pong = await CONSUMER.request('ping');
+    let forbidden = {};
+    try {
+        await CONSUMER.request('secret');
+    } catch (error) {
+        forbidden = error;
+    }
+    await async_wait(50);
+
+    const id = Object.keys(PROVIDER.connections)[0];
+    const connection = PROVIDER.connections[id];
+    assert_log(GROUP, 'Inbound Messages Checked Against Grants', () => {
+        return (
+            received.join() === 'status|ok' &&
+            pong === 'pong' &&
+            forbidden.code === 'FORBIDDEN' &&
+            connection.subscriptions.join() === 'jobs.*' &&
+            connection.violations === 3 &&
+            violations.join() === 'events|secret,subscribe|admin,rpc|secret'
+        );
+    });
+
+    // Update grants at runtime to allow untyped messages and revoke job subscriptions
+    PROVIDER.set_grants(id, { messages: true, events: ['#'] });
+    CONSUMER.send('hello');
+    CONSUMER.send('secret', 'allowed');
+    await wait_until(() => received.length >= 3, 10, 1000);
+    assert_log(GROUP, 'Runtime Grant Updates', () => {
+        return (
+            received.join() === 'status|ok,message|hello,secret|allowed' &&
+            connection.subscriptions.length === 0
+        );
+    });
+
+    // Exceed the violation limit to be disconnected
+    let closed_code;
+    PROVIDER.on('close', (connection, code) => (closed_code = code));
+    CONSUMER.publish('jobs.image', 'forbidden');
+    await wait_until(() => closed_code !== undefined, 10, 1000);
+    assert_log(GROUP, 'Violation Limit Disconnection', () => closed_code === 1008);
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Authorization Grants In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = grants_test;
@@ -0,0 +1,114 @@
+const http = require('http');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+function probe(path) {
+    return new Promise((resolve, reject) => {
+        const request = http.get(
+            { host: PROVIDER_HOST, port: PROVIDER_PORT, path: '/health' + path },
+            (response) => {
+                let body = '';
+                response.on('data', (chunk) => (body += chunk));
+                response.on('end', () =>
+                    resolve({ status: response.statusCode, body: JSON.parse(body) })
+                );
+            }
+        );
+        request.on('error', reject);
+    });
+}
+
+async function health_test() {
+    const GROUP = 'HEALTH';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Health Check Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        health: {
+            min_consumers: 1,
+            timeout: 50,
+        },
+    });
+
+    // Readiness fails until the server is listening and enough consumers are connected
+    const starting = await PROVIDER.health();
+    let report = starting;
+    while (!report.checks.listening.ok) {
+        await async_wait(5);
+        report = await PROVIDER.health();
+    }
+    const live = await probe('/live');
+    const empty = await probe('/ready');
+    assert_log(GROUP, 'Liveness & Readiness Without Consumers', () => {
+        return (
+            starting.status === 'not_ready' &&
+            starting.checks.listening.ok === false &&
+            live.status === 200 &&
+            live.body.status === 'alive' &&
+            empty.status === 503 &&
+            empty.body.checks.listening.ok === true &&
+            empty.body.checks.consumers.ok === false &&
+            empty.body.checks.consumers.minimum === 1
+        );
+    });
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+    const before = CONSUMER.health();
+    await CONSUMER.connect();
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 1, 5, 1000);
+    const ready = await probe('/ready');
+    assert_log(GROUP, 'Ready Once Minimum Consumers Connected', () => {
+        return ready.status === 200 && ready.body.status === 'ready';
+    });
+
+    // Custom health checks fail when they do not resolve with true in time
+    let dependency_up = false;
+    PROVIDER.health_check('dependency', async () => dependency_up);
+    PROVIDER.health_check('hanging', () => new Promise(() => {}));
+    const failing = await probe('/ready');
+    dependency_up = true;
+    PROVIDER.health_check('hanging', () => true);
+    const recovered = await probe('/ready');
+    assert_log(GROUP, 'Custom Health Checks', () => {
+        return (
+            failing.status === 503 &&
+            failing.body.checks.dependency.ok === false &&
+            failing.body.checks.hanging.error === 'Health check timed out after 50ms' &&
+            recovered.status === 200
+        );
+    });
+
+    assert_log(GROUP, 'Consumer Health Report', () => {
+        const health = CONSUMER.health();
+        return (
+            before.status === 'disconnected' &&
+            before.healthy === false &&
+            health.status === 'connected' &&
+            health.healthy === true &&
+            health.endpoint.port === PROVIDER_PORT &&
+            health.last_seen <= Date.now() &&
+            health.buffered === 0
+        );
+    });
+
+    // Readiness fails while draining
+    const shutdown = PROVIDER.shutdown({ timeout: 100 });
+    const draining = await probe('/ready');
+    await shutdown;
+    assert_log(GROUP, 'Not Ready While Shutting Down', () => {
+        return draining.status === 503 && draining.body.checks.shutdown.ok === false;
+    });
+
+    CONSUMER.destroy();
+    log(GROUP, `Finished Testing Health Checks In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = health_test;
@@ -0,0 +1,77 @@
+const WebSocket = require('ws');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function heartbeat_test() {
+    const GROUP = 'HEARTBEAT';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Consumer Heartbeat Watchdog Tests...');
+
+    // Consumers connected to a live provider ping it while idle and stay connected
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        heartbeat: {
+            interval: 60 * 1000,
+        },
+    });
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        heartbeat: {
+            timeout: 100,
+        },
+    });
+
+    let timeouts = 0;
+    CONSUMER.on('heartbeat_timeout', () => timeouts++);
+    await CONSUMER.connect();
+    await async_wait(300);
+    assert_log(GROUP, 'Idle Pings Keep Live Connections Open', () => {
+        return CONSUMER.connected && timeouts === 0 && CONSUMER.latency.samples > 0;
+    });
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+
+    // Simulate a half-open connection with a server which accepts the upgrade and then stays silent
+    const SILENT_SERVER = new WebSocket.Server({ port: PROVIDER_PORT });
+    let connections = 0;
+    SILENT_SERVER.on('connection', () => connections++);
+    const WATCHED = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        heartbeat: {
+            timeout: 100,
+        },
+        reconnect: {
+            interval: 10,
+        },
+    });
+
+    let events = [];
+    WATCHED.on('heartbeat_timeout', (silence) => events.push(['heartbeat_timeout', silence]));
+    WATCHED.on('disconnect', (code) => events.push(['disconnect', code]));
+    WATCHED.on('reconnecting', (attempt) => events.push(['reconnecting', attempt]));
+    await WATCHED.connect();
+    await wait_until(() => connections === 2, 5, 1000);
+    assert_log(GROUP, 'Half-Open Detection, Termination & Reconnect', () => {
+        const [timeout, disconnect, reconnecting] = events;
+        return (
+            timeout[0] === 'heartbeat_timeout' &&
+            timeout[1] > 100 &&
+            timeout[1] < 200 &&
+            disconnect[0] === 'disconnect' &&
+            disconnect[1] === 1006 &&
+            reconnecting[0] === 'reconnecting'
+        );
+    });
+
+    WATCHED.destroy();
+    SILENT_SERVER.close();
+    log(GROUP, `Finished Testing Consumer Heartbeat Watchdog In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = heartbeat_test;
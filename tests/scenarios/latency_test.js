@@ -0,0 +1,69 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function latency_test() {
+    const GROUP = 'LATENCY';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Latency Measurement Tests...');
+
+    // Create a provider with a short heartbeat interval so latency is measured quickly
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        heartbeat: {
+            interval: 50,
+            latency_samples: 5,
+        },
+    });
+
+    let provider_samples = [];
+    PROVIDER.on('latency', (connection, rtt) => provider_samples.push(rtt));
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        heartbeat: {
+            latency_samples: 5,
+        },
+    });
+
+    let consumer_samples = [];
+    CONSUMER.on('latency', (rtt) => consumer_samples.push(rtt));
+    await CONSUMER.connect();
+    await wait_until(() => provider_samples.length >= 6 && consumer_samples.length >= 6, 10, 2000);
+
+    const connection = Object.values(PROVIDER.connections)[0];
+    assert_log(GROUP, 'Provider Measures Round Trip Time', () => {
+        const { latency } = connection;
+        return (
+            provider_samples.every((rtt) => rtt >= 0) &&
+            latency.samples === 5 &&
+            latency.last === provider_samples[provider_samples.length - 1] &&
+            latency.avg >= 0 &&
+            latency.p95 >= latency.avg - 1e-9
+        );
+    });
+
+    assert_log(GROUP, 'Consumer Measures Round Trip Time', () => {
+        const { latency } = CONSUMER;
+        return (
+            consumer_samples.every((rtt) => rtt >= 0) &&
+            latency.samples === 5 &&
+            latency.last === consumer_samples[consumer_samples.length - 1] &&
+            latency.p95 >= latency.avg - 1e-9
+        );
+    });
+
+    assert_log(GROUP, 'Least Latency Strategy', () => {
+        return PROVIDER.pick('least_latency') === connection;
+    });
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Latency Measurement In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = latency_test;
@@ -0,0 +1,82 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function logging_test() {
+    const GROUP = 'LOGGING';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Structured Logging Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        logging: {
+            level: 'debug',
+        },
+    });
+
+    let records = [];
+    PROVIDER.set_logger((record) => records.push(record));
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        parameters: { secret: 'parameter' },
+    });
+
+    let consumer_records = [];
+    CONSUMER.set_logger((record) => consumer_records.push(record));
+    await CONSUMER.connect();
+    CONSUMER.send('secret payload');
+    await wait_until(() => records.some((r) => r.event === 'CONNECTION_MESSAGE'), 5, 1000);
+
+    const connection_id = Object.keys(PROVIDER.connections)[0];
+    assert_log(GROUP, 'Structured Records With Redaction', () => {
+        const upgrade = records.find((r) => r.event === 'CONNECTION_UPGRADE');
+        const open = records.find((r) => r.event === 'CONNECTION_OPEN');
+        const message = records.find((r) => r.event === 'CONNECTION_MESSAGE');
+        return (
+            upgrade.level === 'debug' &&
+            upgrade.parameters === '[REDACTED]' &&
+            open.level === 'info' &&
+            open.connection_id === connection_id &&
+            typeof open.ip == 'string' &&
+            typeof open.time == 'number' &&
+            message.payload === '[REDACTED]' &&
+            !JSON.stringify(records).includes('secret')
+        );
+    });
+
+    assert_log(GROUP, 'Level Threshold', () => {
+        // Consumer logs at the default info level thus debug records such as SEND are discarded
+        return (
+            consumer_records.some((r) => r.event === 'CONNECTED') &&
+            consumer_records.every((r) => r.level !== 'debug')
+        );
+    });
+
+    // String loggers receive pipe delimited records of all levels
+    let lines = [];
+    CONSUMER.set_debug_logger((line) => lines.push(line));
+    CONSUMER.send('event', 'data');
+    records = [];
+    PROVIDER.kick(connection_id, 'maintenance');
+    await wait_until(() => records.some((r) => r.event === 'CONNECTION_CLOSE'), 5, 1000);
+    assert_log(GROUP, 'String Logger Adapter', () => {
+        const close = records.find((r) => r.event === 'CONNECTION_CLOSE');
+        return (
+            lines[0] === 'SEND|event' &&
+            close.code === 4000 &&
+            close.reason === 'maintenance' &&
+            close.connection_id === connection_id
+        );
+    });
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Structured Logging In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = logging_test;
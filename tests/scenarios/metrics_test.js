@@ -0,0 +1,125 @@
+const http = require('http');
+const WebSocket = require('ws');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+const METRICS_TOKEN = 'metrics-token';
+
+function scrape(headers = {}) {
+    return new Promise((resolve, reject) => {
+        const request = http.get(
+            { host: PROVIDER_HOST, port: PROVIDER_PORT, path: '/metrics', headers },
+            (response) => {
+                let body = '';
+                response.on('data', (chunk) => (body += chunk));
+                response.on('end', () =>
+                    resolve({ status: response.statusCode, headers: response.headers, body })
+                );
+            }
+        );
+        request.on('error', reject);
+    });
+}
+
+async function metrics_test() {
+    const GROUP = 'METRICS';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Metrics Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        rate_limit: {
+            max_connections_per_ip: 1,
+        },
+        heartbeat: {
+            interval: 50,
+        },
+        metrics: {
+            enabled: true,
+            auth: METRICS_TOKEN,
+        },
+    });
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+
+    let messages = 0;
+    CONSUMER.on('message', () => messages++);
+    await CONSUMER.connect();
+    await wait_until(() => PROVIDER.stats().rtt_seconds.count > 0, 10, 2000);
+
+    // Exchange a message each way
+    CONSUMER.send('hello');
+    PROVIDER.send(Object.keys(PROVIDER.connections)[0], 'world');
+    await wait_until(() => messages === 1, 5, 1000);
+
+    // A second consumer is rejected as the connection cap per IP is reached
+    const REJECTED = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        reconnect: {
+            max_attempts: 0,
+        },
+    });
+    REJECTED.connect().catch(() => {});
+    await wait_until(() => PROVIDER.stats().rejections_total.too_many_connections === 1, 5, 1000);
+
+    const stats = PROVIDER.stats();
+    assert_log(GROUP, 'stats() Reports Connection & Traffic Metrics', () => {
+        return (
+            stats.connections === 1 &&
+            stats.connects_total === 1 &&
+            stats.rejections_total.too_many_connections === 1 &&
+            stats.messages_received_total > 0 &&
+            stats.messages_sent_total > 0 &&
+            stats.bytes_received_total > 0 &&
+            stats.bytes_sent_total > 0 &&
+            stats.rtt_seconds.buckets['+Inf'] === stats.rtt_seconds.count
+        );
+    });
+
+    // Scrape the metrics route with and without the bearer token
+    const unauthorized = await scrape();
+    const authorized = await scrape({ authorization: `Bearer ${METRICS_TOKEN}` });
+    assert_log(GROUP, 'Metrics Route Requires Bearer Token', () => unauthorized.status === 401);
+    assert_log(GROUP, 'Metrics Route Renders Prometheus Text Format', () => {
+        const { status, headers, body } = authorized;
+        return (
+            status === 200 &&
+            headers['content-type'].startsWith('text/plain; version=0.0.4') &&
+            body.includes('# TYPE network_cluster_connections gauge') &&
+            body.includes('network_cluster_connections 1\n') &&
+            body.includes('network_cluster_rejections_total{reason="too_many_connections"} 1\n') &&
+            body.includes('network_cluster_rtt_seconds_bucket{le="+Inf"}')
+        );
+    });
+
+    // Disconnects are counted by close code
+    CONSUMER.destroy();
+    REJECTED.destroy();
+    await wait_until(() => PROVIDER.stats().connections === 0, 5, 1000);
+    assert_log(GROUP, 'Disconnects Counted By Close Code', () => {
+        const { disconnects_total } = PROVIDER.stats();
+        return Object.values(disconnects_total).reduce((a, b) => a + b, 0) === 1;
+    });
+
+    // Close codes chosen by consumers are not used as labels
+    const RAW = new WebSocket(`ws://${PROVIDER_HOST}:${PROVIDER_PORT}/connect`);
+    await new Promise((resolve) => RAW.once('open', resolve));
+    RAW.close(4321);
+    await wait_until(() => PROVIDER.stats().connections === 0, 5, 1000);
+    assert_log(GROUP, 'Unknown Close Codes Counted As Other', () => {
+        const { disconnects_total } = PROVIDER.stats();
+        return disconnects_total.other === 1 && disconnects_total['4321'] === undefined;
+    });
+
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Metrics In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = metrics_test;
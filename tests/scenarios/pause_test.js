@@ -0,0 +1,97 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function pause_test() {
+    const GROUP = 'PAUSE';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Pause/Resume & Disconnect Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+
+    let pauses = 0;
+    let unpauses = 0;
+    PROVIDER.on('pause', () => pauses++);
+    PROVIDER.on('unpause', () => unpauses++);
+
+    // Create two worker consumers which process the same queue
+    const create_worker = () => {
+        const worker = new NetworkCluster.Consumer({
+            host: PROVIDER_HOST,
+            port: PROVIDER_PORT,
+        });
+        worker.jobs = [];
+        worker.messages = [];
+        worker.process('work', 1, async (data) => worker.jobs.push(data));
+        worker.on('message', (message) => worker.messages.push(message));
+        return worker;
+    };
+
+    const ACTIVE = create_worker();
+    const PAUSED = create_worker();
+    await Promise.all([ACTIVE.connect(), PAUSED.connect()]);
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 2, 5, 1000);
+
+    // Pause a worker and ensure it no longer receives balanced work or broadcasts
+    PAUSED.pause();
+    await wait_until(() => pauses === 1, 5, 1000);
+    const QUEUE = PROVIDER.queue('work');
+    for (let i = 0; i < 5; i++) QUEUE.push(i);
+    for (let i = 0; i < 5; i++) PROVIDER.send_to_any('balanced');
+    const report = await PROVIDER.broadcast('broadcast');
+    await wait_until(() => ACTIVE.jobs.length === 5 && ACTIVE.messages.length === 6, 5, 1000);
+    await async_wait(50);
+    const paused_connection = Object.values(PROVIDER.connections).find((c) => c.paused);
+    assert_log(GROUP, 'Paused Consumers Skipped By Queues, Balancer & Broadcasts', () => {
+        return (
+            PAUSED.paused === true &&
+            paused_connection !== undefined &&
+            report.sent === 1 &&
+            PAUSED.jobs.length === 0 &&
+            PAUSED.messages.length === 0
+        );
+    });
+
+    // Direct sends and broadcasts including paused consumers are still delivered
+    PROVIDER.send(paused_connection, 'direct');
+    await PROVIDER.broadcast('everyone', { include_paused: true });
+    await wait_until(() => PAUSED.messages.length === 2, 5, 1000);
+    assert_log(GROUP, 'Direct Sends & include_paused Broadcasts', () => {
+        return PAUSED.messages[0] === 'direct' && PAUSED.messages[1] === 'everyone';
+    });
+
+    // Resuming dispatches jobs held back while all workers were paused
+    ACTIVE.pause();
+    await wait_until(() => pauses === 2, 5, 1000);
+    QUEUE.push('held');
+    await async_wait(50);
+    const held = QUEUE.stats.pending === 1;
+    PAUSED.resume();
+    await wait_until(() => PAUSED.jobs.length === 1, 5, 1000);
+    assert_log(GROUP, 'Resume Dispatches Held Jobs', () => {
+        return held && unpauses === 1 && PAUSED.jobs[0] === 'held' && PAUSED.paused === false;
+    });
+
+    // Disconnect keeps handlers and paused state for a later connect()
+    await ACTIVE.disconnect();
+    assert_log(GROUP, 'Disconnect Resolves Once Closed', () => ACTIVE.connected === false);
+    await ACTIVE.connect();
+    await wait_until(() => pauses === 3, 5, 1000);
+    QUEUE.push('after');
+    await wait_until(() => PAUSED.jobs.length === 2, 5, 1000);
+    assert_log(GROUP, 'Paused State Restored After Reconnect', () => {
+        return ACTIVE.paused === true && ACTIVE.jobs.length === 5 && PAUSED.jobs[1] === 'after';
+    });
+
+    ACTIVE.destroy();
+    PAUSED.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Pause/Resume & Disconnect In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = pause_test;
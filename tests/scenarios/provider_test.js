@@ -1,3 +1,4 @@
+const WebSocket = require('ws');
 const NetworkCluster = require('../../index.js');
 const { log, assert_log, wait_until, async_wait, random_string } = require('../operators.js');
 const { port, host } = require('../env.json');
@@ -68,7 +69,7 @@ async function provider_test() {
 
     // Send initial message from consumer to provider
     assert_log(GROUP, 'Initial Chain Message Delivery', () => {
-        return CONSUMER.send('0');
+        return CONSUMER.send('0') === 'sent';
     });
 
     // Wait until chain resolves
@@ -87,6 +88,41 @@ async function provider_test() {
         return result;
     });
 
+    // Perform untyped envelope test with JSON and binary payloads
+    let untyped = [];
+    CONSUMER.on('message', (message) => untyped.push(message));
+    const untyped_status = PROVIDER.send(id, { value: test_value });
+    PROVIDER.send(id, Buffer.from(test_value));
+
+    await wait_until(() => untyped.length >= 2, 10, 1000);
+    assert_log(GROUP, 'Untyped JSON & Binary Envelope Delivery', () => {
+        return (
+            untyped_status === 'sent' &&
+            untyped[0].value === test_value &&
+            Buffer.isBuffer(untyped[1]) &&
+            untyped[1].toString() === test_value
+        );
+    });
+
+    // Perform typed event test with JSON and binary payloads
+    let provider_event;
+    let consumer_event;
+    PROVIDER.on('event:json', (ws, data) => (provider_event = data));
+    CONSUMER.on('event:binary', (data) => (consumer_event = data));
+    CONSUMER.send('json', { value: test_value, list: [1, 2] });
+    PROVIDER.send(id, 'binary', Buffer.from(test_value));
+    CONSUMER.send('PING'); // Should be treated as a user message and not a control packet
+
+    await wait_until(() => provider_event && consumer_event, 10, 1000);
+    assert_log(GROUP, 'Typed JSON & Binary Event Delivery', () => {
+        return (
+            provider_event.value === test_value &&
+            provider_event.list[1] === 2 &&
+            Buffer.isBuffer(consumer_event) &&
+            consumer_event.toString() === test_value
+        );
+    });
+
     // Perform Heartbeat cycle accuracy check
     const sample_time = 1000;
     log(GROUP, `Performing Heartbeat Cycle Accuracy Check Over ${sample_time}ms`);
@@ -95,6 +131,80 @@ async function provider_test() {
         return Object.keys(PROVIDER.connections).length === 1;
     });
 
+    // Perform Request/Response Test in both directions
+    PROVIDER.handle('sum', (numbers) => numbers.reduce((a, b) => a + b, 0));
+    PROVIDER.handle('fail', () => {
+        throw new Error('Intentional Failure');
+    });
+    CONSUMER.handle('echo', async (payload) => payload);
+
+    const sum = await CONSUMER.request('sum', [1, 2, 3]);
+    const echo = await PROVIDER.request(id, 'echo', { value: test_value });
+    assert_log(GROUP, 'Two-Way Request/Response Delivery', () => {
+        return sum === 6 && echo.value === test_value;
+    });
+
+    let remote_error = {};
+    try {
+        await CONSUMER.request('fail');
+    } catch (error) {
+        remote_error = error;
+    }
+    assert_log(GROUP, 'Request Handler Error Propagation', () => {
+        return remote_error.remote === true && remote_error.message === 'Intentional Failure';
+    });
+
+    // Results which can not be encoded are rejected instead of timing out
+    PROVIDER.handle('unencodable', () => ({ big: BigInt(1) }));
+    let encode_error = {};
+    try {
+        await CONSUMER.request('unencodable', null, { timeout: 1000 });
+    } catch (error) {
+        encode_error = error;
+    }
+    assert_log(GROUP, 'Unencodable Response Rejection', () => {
+        return encode_error.remote === true && encode_error.name === 'TypeError';
+    });
+
+    // Requests for names which only exist on Object.prototype have no handler
+    let prototype_error = {};
+    try {
+        await CONSUMER.request('constructor');
+    } catch (error) {
+        prototype_error = error;
+    }
+    assert_log(GROUP, 'Unregistered Prototype Request Rejection', () => {
+        return prototype_error.message === 'No handler registered for request "constructor"';
+    });
+
+    // Responses are only accepted from the connection a request was sent to
+    const FORGER = new WebSocket(`ws://${PROVIDER_HOST}:${PROVIDER_PORT}/connect`);
+    await new Promise((resolve) => FORGER.once('open', resolve));
+    CONSUMER.handle('slow', async () => {
+        await async_wait(50);
+        return 'genuine';
+    });
+    const pending = PROVIDER.request(id, 'slow');
+    for (let i = 0; i < 100; i++)
+        FORGER.send(JSON.stringify([0, 'RPC_RESPONSE', { id: i, result: 'forged' }]));
+    const genuine = await pending;
+    FORGER.close();
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 1, 5, 1000);
+    assert_log(GROUP, 'Responses From Other Connections Are Ignored', () => {
+        return genuine === 'genuine';
+    });
+
+    CONSUMER.handle('stall', () => new Promise(() => {}));
+    let timeout_error = {};
+    try {
+        await PROVIDER.request(id, 'stall', null, { timeout: 50 });
+    } catch (error) {
+        timeout_error = error;
+    }
+    assert_log(GROUP, 'Request Timeout Rejection', () => {
+        return timeout_error.message === 'Request "stall" timed out after 50ms';
+    });
+
     // Destroy test consumer and wait 10ms
     log(GROUP, 'Destroying Test Consumer...');
     CONSUMER.destroy();
@@ -0,0 +1,85 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait, random_string } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function pubsub_test() {
+    const GROUP = 'PUBSUB';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Publish/Subscribe Tests...');
+
+    // Create a provider with two consumers to test publishing in both directions
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+    const SUBSCRIBER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+    const PUBLISHER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+
+    await SUBSCRIBER.connect();
+    await PUBLISHER.connect();
+
+    // Subscribe to a wildcard and an exact topic
+    let received = [];
+    SUBSCRIBER.subscribe('jobs.*', (data, topic) => received.push(topic + '|' + data));
+    SUBSCRIBER.subscribe('alerts');
+    SUBSCRIBER.on('publish', (topic, data) => {
+        if (topic === 'alerts') received.push(topic + '|' + data);
+    });
+    await async_wait(50);
+
+    const subscriber = Object.keys(PROVIDER.connections)
+        .map((id) => PROVIDER.connections[id])
+        .find((connection) => connection.subscriptions.length > 0);
+    assert_log(GROUP, 'Connection Subscription List', () => {
+        return (
+            subscriber.subscriptions.length === 2 &&
+            subscriber.subscriptions.includes('jobs.*') &&
+            subscriber.subscriptions.includes('alerts')
+        );
+    });
+
+    // Publish from provider and relay from publisher consumer
+    const value = random_string(10);
+    PROVIDER.publish('jobs.image', value);
+    PROVIDER.publish('alerts', value);
+    PROVIDER.publish('other.image', value);
+    PUBLISHER.publish('jobs.video', value);
+    PUBLISHER.publish('jobs.video.large', value);
+
+    await wait_until(() => received.length >= 3, 10, 1000);
+    await async_wait(50);
+    assert_log(GROUP, 'Topic Matching & Consumer Relay Delivery', () => {
+        return (
+            received.length === 3 &&
+            received.includes('jobs.image|' + value) &&
+            received.includes('alerts|' + value) &&
+            received.includes('jobs.video|' + value)
+        );
+    });
+
+    // Unsubscribe and ensure no further deliveries occur
+    received = [];
+    SUBSCRIBER.unsubscribe('jobs.*');
+    await async_wait(50);
+    PROVIDER.publish('jobs.image', value);
+    await async_wait(50);
+    assert_log(GROUP, 'Unsubscribe Stops Delivery', () => {
+        return received.length === 0 && subscriber.subscriptions.length === 1;
+    });
+
+    SUBSCRIBER.destroy();
+    PUBLISHER.destroy();
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Publish/Subscribe In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = pubsub_test;
@@ -0,0 +1,137 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function queue_test() {
+    const GROUP = 'QUEUE';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Work Queue Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        queue: {
+            max_attempts: 2,
+            backoff: {
+                delay: 10,
+            },
+        },
+    });
+    const WORKER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+
+    // Push jobs before any worker is available to ensure they are held as pending
+    const QUEUE = PROVIDER.queue('math');
+    let failures = [];
+    let drained = false;
+    QUEUE.on('failed', (job, error) => failures.push(job.data));
+    QUEUE.on('drained', () => (drained = true));
+    for (let i = 0; i < 10; i++) QUEUE.push(i);
+    QUEUE.push(-1);
+
+    assert_log(GROUP, 'Pending Jobs Without Workers', () => {
+        return QUEUE.stats.pending === 11 && QUEUE.stats.in_flight === 0;
+    });
+
+    // Process jobs with a concurrency of 2 and fail negative jobs
+    let results = [];
+    let max_active = 0;
+    let active = 0;
+    await WORKER.connect();
+    WORKER.process('math', 2, async (number) => {
+        active++;
+        max_active = Math.max(max_active, active);
+        await async_wait(5);
+        active--;
+        if (number < 0) throw new Error('Negative Number');
+        results.push(number);
+        return number * 2;
+    });
+
+    await wait_until(() => drained, 10, 2000);
+    assert_log(GROUP, 'Job Dispatch, Concurrency & Acknowledgements', () => {
+        return results.length === 10 && max_active === 2 && QUEUE.stats.completed === 10;
+    });
+
+    assert_log(GROUP, 'Job Retries & Failure After Max Attempts', () => {
+        return failures.length === 1 && failures[0] === -1 && QUEUE.stats.failed === 1;
+    });
+
+    // Consumers can not create queues and data which can not be encoded is rejected on push
+    WORKER.process('constructor', 1, () => true);
+    WORKER.process('unknown', 1, () => true);
+    let push_error = {};
+    try {
+        QUEUE.push(BigInt(1));
+    } catch (error) {
+        push_error = error;
+    }
+    await async_wait(20);
+    assert_log(GROUP, 'Queues Are Only Created By The Provider', () => {
+        return (
+            Object.keys(PROVIDER.queues).join() === 'math' &&
+            Object.keys(PROVIDER.connections).length === 1 &&
+            push_error.message.startsWith('push(data) -> data must be JSON serializable') &&
+            QUEUE.stats.pending === 0
+        );
+    });
+
+    // Results which can not be encoded reject the job with the encoding error
+    const UNENCODABLE = PROVIDER.queue('unencodable');
+    let encode_error;
+    UNENCODABLE.on('failed', (job, error) => (encode_error = error));
+    WORKER.process('unencodable', 1, () => ({ big: BigInt(1) }));
+    UNENCODABLE.push('job');
+    await wait_until(() => encode_error !== undefined, 5, 1000);
+    assert_log(GROUP, 'Unencodable Results Reject Job', () => {
+        return (
+            encode_error.message.includes('BigInt') &&
+            UNENCODABLE.stats.failed === 1 &&
+            UNENCODABLE.stats.in_flight === 0
+        );
+    });
+
+    // Jobs which keep disconnecting their worker count attempts and eventually fail
+    const POISON = PROVIDER.queue('poison');
+    let poison_error;
+    let crashes = 0;
+    POISON.on('failed', (job, error) => (poison_error = error));
+    POISON.push('crash');
+    for (let i = 0; i < 2; i++) {
+        const CRASHING = new NetworkCluster.Consumer({
+            host: PROVIDER_HOST,
+            port: PROVIDER_PORT,
+        });
+        await CRASHING.connect();
+        CRASHING.process('poison', 1, () => {
+            crashes++;
+            CRASHING.destroy();
+            return new Promise(() => {});
+        });
+        await wait_until(
+            () => crashes === i + 1 && Object.keys(PROVIDER.connections).length === 1,
+            5,
+            1000
+        );
+    }
+    await wait_until(() => poison_error !== undefined, 5, 1000);
+    assert_log(GROUP, 'Disconnects Count Towards Max Attempts', () => {
+        return (
+            crashes === 2 &&
+            POISON.stats.failed === 1 &&
+            POISON.stats.pending === 0 &&
+            poison_error.message === 'Consumer disconnected before acknowledging job'
+        );
+    });
+
+    WORKER.destroy();
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Work Queue In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = queue_test;
@@ -0,0 +1,153 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function rate_limit_test() {
+    const GROUP = 'RATE_LIMIT';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Rate Limiting Tests...');
+
+    // Create a provider which allows 5 messages per second and a single connection per IP
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        rate_limit: {
+            messages: 5,
+            max_connections_per_ip: 1,
+        },
+    });
+
+    let received = [];
+    let limited = [];
+    PROVIDER.on('message', (connection, message) => received.push(message));
+    PROVIDER.on('rate_limited', (connection, limit, action) => limited.push(limit + '|' + action));
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        reconnect: {
+            max_attempts: 0,
+        },
+    });
+    await CONSUMER.connect();
+    await async_wait(50);
+
+    // Flood provider with messages beyond the limit
+    for (let i = 0; i < 20; i++) CONSUMER.send(i);
+    await async_wait(100);
+
+    const connection = PROVIDER.connections[Object.keys(PROVIDER.connections)[0]];
+    assert_log(GROUP, 'Drop Action & Connection Counters', () => {
+        return (
+            received.length === 5 &&
+            limited.length === 15 &&
+            limited[0] === 'messages|drop' &&
+            connection.counters.messages >= 20 &&
+            connection.counters.dropped === 15 &&
+            connection.counters.rate_limited === 15
+        );
+    });
+
+    // Control packets answering the provider pass while the message bucket is still empty
+    CONSUMER.handle('echo', (payload) => payload);
+    let response;
+    try {
+        response = await PROVIDER.request(connection, 'echo', 'control', { timeout: 100 });
+    } catch (error) {
+        response = error.message;
+    }
+    assert_log(GROUP, 'Control Responses Bypass Limits', () => {
+        return response === 'control' && received.length === 5 && limited.length === 15;
+    });
+
+    // Enforce connection cap per IP at upgrade time
+    let rejected = false;
+    const SECOND = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        reconnect: {
+            max_attempts: 0,
+        },
+    });
+    SECOND.on('close', () => (rejected = true));
+    SECOND.connect().catch(() => {});
+    await wait_until(() => rejected, 10, 1000);
+    assert_log(GROUP, 'Connection Cap Per IP', () => {
+        return rejected === true && Object.keys(PROVIDER.connections).length === 1;
+    });
+    SECOND.destroy();
+
+    // Switch to the delay action through grants and ensure all messages arrive in order
+    received = [];
+    PROVIDER.set_grants(connection, {
+        messages: true,
+        rate_limit: { messages: 10, action: 'delay' },
+    });
+    for (let i = 0; i < 15; i++) CONSUMER.send(i);
+    await wait_until(() => received.length >= 15, 10, 2000);
+    assert_log(GROUP, 'Delay Action Preserves Order', () => {
+        return received.join() === [...Array(15).keys()].join() && connection.counters.delayed >= 5;
+    });
+
+    // Switch to the disconnect action and exceed the limit
+    let close_code;
+    PROVIDER.on('close', (connection, code) => (close_code = code));
+    PROVIDER.set_grants(connection, {
+        messages: true,
+        rate_limit: { messages: 1, action: 'disconnect', close_code: 4100 },
+    });
+    for (let i = 0; i < 3; i++) CONSUMER.send(i);
+    await wait_until(() => close_code !== undefined, 10, 1000);
+    assert_log(GROUP, 'Disconnect Action Close Code', () => close_code === 4100);
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+
+    // Enforce connection cap per IP for concurrent upgrades pending on an async handler
+    const ASYNC_PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        rate_limit: {
+            max_connections_per_ip: 1,
+        },
+        auth: {
+            handler: async () => {
+                await async_wait(20);
+                return true;
+            },
+        },
+    });
+    const concurrent = [0, 1].map(
+        () =>
+            new NetworkCluster.Consumer({
+                host: PROVIDER_HOST,
+                port: PROVIDER_PORT,
+                reconnect: {
+                    max_attempts: 0,
+                },
+            })
+    );
+    const outcomes = await Promise.all(
+        concurrent.map((consumer) =>
+            consumer.connect().then(
+                () => 'connected',
+                (error) => error.message
+            )
+        )
+    );
+    assert_log(GROUP, 'Connection Cap Per IP With Concurrent Upgrades', () => {
+        return (
+            outcomes.filter((outcome) => outcome === 'connected').length === 1 &&
+            outcomes.includes('Unexpected server response: 429') &&
+            Object.keys(ASYNC_PROVIDER.connections).length === 1
+        );
+    });
+
+    concurrent.forEach((consumer) => consumer.destroy());
+    ASYNC_PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Rate Limiting In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = rate_limit_test;
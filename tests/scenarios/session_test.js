@@ -0,0 +1,79 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait, random_string } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function session_test() {
+    const GROUP = 'SESSION';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Session Resumption Tests...');
+
+    // Create a provider with resumable sessions and a consumer which reconnects quickly
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        session: {
+            enabled: true,
+            grace: 5000,
+        },
+    });
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        parameters: {
+            tags: 'session',
+        },
+        reconnect: {
+            interval: 100,
+        },
+    });
+
+    let events = [];
+    PROVIDER.on('open', () => events.push('open'));
+    PROVIDER.on('resume', (connection, buffered) => events.push('resume|' + buffered));
+
+    await CONSUMER.connect();
+    CONSUMER.subscribe('updates');
+    await wait_until(() => CONSUMER.id !== undefined, 10, 1000);
+    const id = CONSUMER.id;
+    assert_log(GROUP, 'Session Issued On Open', () => {
+        return PROVIDER.connections[id] !== undefined && events.join() === 'open';
+    });
+
+    // Close connection from provider and send messages while the consumer is away
+    let received = [];
+    let resumed;
+    CONSUMER.on('event:greeting', (data) => received.push('greeting|' + data));
+    CONSUMER.on('publish', (topic, data) => received.push(topic + '|' + data));
+    CONSUMER.on('resume', (session_id) => (resumed = session_id));
+    await async_wait(50);
+    PROVIDER.connections[id].end();
+    await wait_until(() => PROVIDER.connections[id] === undefined, 10, 1000);
+
+    const value = random_string(10);
+    const buffered = PROVIDER.send(id, 'greeting', value);
+    PROVIDER.publish('updates', value);
+
+    await wait_until(() => received.length >= 2, 10, 3000);
+    assert_log(GROUP, 'Resumed Session Keeps Identity & Buffered Messages', () => {
+        const connection = PROVIDER.connections[id];
+        return (
+            buffered === 'buffered' &&
+            resumed === id &&
+            CONSUMER.id === id &&
+            connection !== undefined &&
+            connection.tags.includes('session') &&
+            connection.subscriptions.includes('updates') &&
+            events.join() === 'open,resume|2' &&
+            received.join() === 'greeting|' + value + ',updates|' + value
+        );
+    });
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+
+    log(GROUP, `Finished Testing Session Resumption In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = session_test;
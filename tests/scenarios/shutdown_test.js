@@ -0,0 +1,117 @@
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+async function shutdown_test() {
+    const GROUP = 'SHUTDOWN';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Graceful Shutdown Tests...');
+
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        reconnect: {
+            interval: 10,
+            going_away_delay: 200,
+        },
+    });
+
+    let notices = [];
+    let reconnects = 0;
+    let disconnect_code;
+    let disconnected_at;
+    CONSUMER.on('going_away', (retry_after) => notices.push(retry_after));
+    CONSUMER.on('reconnecting', () => reconnects++);
+    CONSUMER.on('disconnect', (code) => {
+        disconnect_code = code;
+        disconnected_at = Date.now();
+    });
+
+    // Hold a queue job and a request in flight on the consumer while the provider shuts down
+    let completed = [];
+    CONSUMER.process('slow', 1, async (data) => {
+        await async_wait(100);
+        completed.push(data);
+    });
+    CONSUMER.handle('slow', async () => {
+        await async_wait(100);
+        return 'done';
+    });
+    await CONSUMER.connect();
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 1, 5, 1000);
+
+    const QUEUE = PROVIDER.queue('slow');
+    QUEUE.push('first');
+    QUEUE.push('second');
+    await wait_until(() => QUEUE.stats.in_flight === 1, 5, 1000);
+    const id = Object.keys(PROVIDER.connections)[0];
+    const response = PROVIDER.request(id, 'slow');
+
+    const drained = await PROVIDER.shutdown({ timeout: 2000, retry_after: 50 });
+    assert_log(GROUP, 'Work In Flight Finishes Before Close', () => {
+        return (
+            drained === true &&
+            completed.length === 1 &&
+            completed[0] === 'first' &&
+            PROVIDER.shutting_down === true
+        );
+    });
+
+    const result = await response;
+    await wait_until(() => disconnect_code !== undefined, 5, 1000);
+    assert_log(GROUP, 'Going Away Notice & Close Code', () => {
+        return (
+            result === 'done' &&
+            notices.length === 1 &&
+            notices[0] === 50 &&
+            disconnect_code === 1001
+        );
+    });
+
+    // Consumer waits for the going away delay instead of its normal reconnect policy
+    let opened_at;
+    CONSUMER.once('open', () => (opened_at = Date.now()));
+    const RESTARTED = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+    await wait_until(() => CONSUMER.connected, 5, 2000);
+    assert_log(GROUP, 'Going Away Reconnect Delay', () => {
+        return reconnects === 0 && opened_at - disconnected_at >= 200;
+    });
+
+    // Providers which time out while draining still close all connections
+    CONSUMER.process('stuck', 1, () => new Promise(() => {}));
+    const STUCK = RESTARTED.queue('stuck');
+    STUCK.push('forever');
+    await wait_until(() => STUCK.stats.in_flight === 1, 5, 1000);
+    const timed_out = await RESTARTED.shutdown({ timeout: 100 });
+    assert_log(GROUP, 'Shutdown Timeout', () => {
+        return timed_out === false && Object.keys(RESTARTED.connections).length === 0;
+    });
+
+    // Consumers destroyed after a going away notice do not reconnect
+    const FINAL = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+    await wait_until(() => Object.keys(FINAL.connections).length === 1, 5, 2000);
+    CONSUMER.once('going_away', () => CONSUMER.destroy());
+    await FINAL.shutdown({ timeout: 100, retry_after: 0 });
+    const REPLACEMENT = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+    });
+    await async_wait(400);
+    assert_log(GROUP, 'Destroyed Consumer Ignores Going Away Reconnect', () => {
+        return Object.keys(REPLACEMENT.connections).length === 0;
+    });
+
+    REPLACEMENT.destroy();
+    log(GROUP, `Finished Testing Graceful Shutdown In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = shutdown_test;
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+const PAYLOAD = crypto.randomBytes(256 * 1024);
+
+/**
+ * Collects a readable stream into a single Buffer.
+ *
+ * @param {Readable} readable
+ * @returns {Promise}
+ */
+function collect(readable) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        readable.on('data', (chunk) => chunks.push(chunk));
+        readable.on('end', () => resolve(Buffer.concat(chunks)));
+        readable.on('error', reject);
+    });
+}
+
+async function stream_test() {
+    const GROUP = 'STREAM';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Chunked Streaming Tests...');
+
+    // Create a provider which only grants streams named upload.*
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        auth: {
+            handler: () => ({ streams: ['upload.*'] }),
+        },
+    });
+
+    let uploads = {};
+    PROVIDER.on('stream', (connection, name, readable) => {
+        uploads[name] = collect(readable).catch((error) => error);
+    });
+
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+    });
+    await CONSUMER.connect();
+    await wait_until(() => Object.keys(PROVIDER.connections).length === 1, 5, 1000);
+
+    // Stream a payload larger than the max payload length from consumer to provider
+    await new Promise((resolve, reject) =>
+        CONSUMER.stream('upload.file').on('error', reject).on('finish', resolve).end(PAYLOAD)
+    );
+    const uploaded = await uploads['upload.file'];
+    assert_log(GROUP, 'Consumer To Provider Stream With Integrity Check', () => {
+        return Buffer.isBuffer(uploaded) && uploaded.equals(PAYLOAD);
+    });
+
+    // Streams which are not granted are cancelled by the provider
+    const forbidden = await new Promise((resolve) =>
+        CONSUMER.stream('secret').on('error', resolve).end(PAYLOAD)
+    );
+    assert_log(GROUP, 'Ungranted Stream Cancellation', () => {
+        return forbidden.code === 'STREAM_CANCELLED' && uploads['secret'] === undefined;
+    });
+
+    // Stream from provider to consumer
+    let download;
+    CONSUMER.on('stream', (name, readable) => (download = collect(readable)));
+    const id = Object.keys(PROVIDER.connections)[0];
+    PROVIDER.stream(id, 'download').end(PAYLOAD);
+    await wait_until(() => download !== undefined, 5, 1000);
+    const downloaded = await download;
+    assert_log(GROUP, 'Provider To Consumer Stream', () => downloaded.equals(PAYLOAD));
+
+    // Receiver cancellation destroys the sender with an error
+    PROVIDER.on('stream', (connection, name, readable) => {
+        if (name === 'upload.cancel') readable.once('data', () => readable.destroy());
+    });
+    const cancelled = await new Promise((resolve) =>
+        CONSUMER.stream('upload.cancel').on('error', resolve).end(PAYLOAD)
+    );
+    assert_log(GROUP, 'Receiver Cancellation', () => cancelled.code === 'STREAM_CANCELLED');
+
+    // Closing the connection mid-transfer destroys streams on both sides
+    const interrupted = CONSUMER.stream('upload.interrupted');
+    const sender_error = new Promise((resolve) => interrupted.on('error', resolve));
+    interrupted.write(PAYLOAD.subarray(0, 64 * 1024));
+    await wait_until(() => uploads['upload.interrupted'] !== undefined, 5, 1000);
+    PROVIDER.connections[id].end();
+    const [sender, receiver] = await Promise.all([sender_error, uploads['upload.interrupted']]);
+    assert_log(GROUP, 'Cleanup When Connection Closes Mid-Transfer', () => {
+        return sender.code === 'STREAM_CLOSED' && receiver.code === 'STREAM_CLOSED';
+    });
+
+    CONSUMER.destroy();
+    PROVIDER.destroy();
+    log(GROUP, `Finished Testing Chunked Streaming In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = stream_test;
@@ -0,0 +1,125 @@
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+const { execSync } = require('child_process');
+const NetworkCluster = require('../../index.js');
+const { log, assert_log, wait_until, async_wait } = require('../operators.js');
+const { port, host } = require('../env.json');
+
+const PROVIDER_HOST = host;
+const PROVIDER_PORT = port;
+
+/**
+ * Generates a self-signed CA with a server certificate and a client certificate signed by it.
+ *
+ * @param {String} directory
+ * @returns {Object} Paths to generated files
+ */
+function generate_certificates(directory) {
+    const file = (name) => path.join(directory, name);
+    const run = (command) => execSync(command, { cwd: directory, stdio: 'ignore' });
+    fs.writeFileSync(file('san.ext'), 'subjectAltName=DNS:localhost,IP:127.0.0.1');
+
+    run(
+        'openssl req -x509 -newkey rsa:2048 -nodes -keyout ca.key -out ca.crt -days 1 -subj "/CN=Test CA"'
+    );
+    ['server:localhost', 'client:worker-1'].forEach((entry) => {
+        const [name, common_name] = entry.split(':');
+        run(
+            `openssl req -newkey rsa:2048 -nodes -keyout ${name}.key -out ${name}.csr -subj "/CN=${common_name}"`
+        );
+        run(
+            `openssl x509 -req -in ${name}.csr -CA ca.crt -CAkey ca.key -CAcreateserial -out ${name}.crt -days 1` +
+                (name == 'server' ? ' -extfile san.ext' : '')
+        );
+    });
+
+    return {
+        ca: file('ca.crt'),
+        server_key: file('server.key'),
+        server_cert: file('server.crt'),
+        client_key: file('client.key'),
+        client_cert: file('client.crt'),
+    };
+}
+
+async function tls_test() {
+    const GROUP = 'TLS';
+    const start_time = Date.now();
+    log(GROUP, 'Performing Mutual TLS Tests...');
+
+    // Create a provider which requires client certificates signed by a locally generated CA
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'network-cluster-'));
+    const certificates = generate_certificates(directory);
+    let authorized = [];
+    const PROVIDER = new NetworkCluster.Provider({
+        port: PROVIDER_PORT,
+        ssl: {
+            key: certificates.server_key,
+            cert: certificates.server_cert,
+            ca: certificates.ca,
+            require_client_cert: true,
+        },
+        auth: {
+            handler: (request, parameters, identity, certificate) => {
+                authorized.push(certificate.subject.CN);
+                return certificate.subject.CN === 'worker-1';
+            },
+        },
+    });
+
+    // Wait for the TLS proxy to start listening in front of the local server
+    await async_wait(200);
+
+    // Connect with a client certificate and without one
+    const CONSUMER = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        ssl: true,
+        tls: {
+            ca: certificates.ca,
+            cert: certificates.client_cert,
+            key: certificates.client_key,
+            servername: 'localhost',
+        },
+    });
+    const ANONYMOUS = new NetworkCluster.Consumer({
+        host: PROVIDER_HOST,
+        port: PROVIDER_PORT,
+        ssl: true,
+        tls: {
+            ca: certificates.ca,
+            servername: 'localhost',
+        },
+        reconnect: {
+            max_attempts: 0,
+        },
+    });
+
+    let anonymous_closed = false;
+    ANONYMOUS.on('close', () => (anonymous_closed = true));
+    ANONYMOUS.connect().catch(() => {});
+    await wait_until(() => anonymous_closed, 10, 2000);
+    await CONSUMER.connect();
+    await wait_until(() => Object.keys(PROVIDER.connections).length > 0, 10, 1000);
+
+    const connection = PROVIDER.connections[Object.keys(PROVIDER.connections)[0]];
+    assert_log(GROUP, 'Client Certificate Verification & Identity', () => {
+        return (
+            anonymous_closed === true &&
+            authorized.join() === 'worker-1' &&
+            Object.keys(PROVIDER.connections).length === 1 &&
+            connection.certificate.subject.CN === 'worker-1' &&
+            connection.certificate.issuer.CN === 'Test CA'
+        );
+    });
+
+    CONSUMER.destroy();
+    ANONYMOUS.destroy();
+    PROVIDER.destroy();
+    fs.rmSync(directory, { recursive: true, force: true });
+
+    log(GROUP, `Finished Testing Mutual TLS In ${Date.now() - start_time}ms\n`);
+}
+
+module.exports = tls_test;